@@ -0,0 +1,113 @@
+// Download every mini between two dates into a local archive directory
+//
+// Usage: node archive.js [--from yyyy-mm-dd] [--to yyyy-mm-dd] [--out dir] [--delay ms]
+//
+// Dates default to the whole back catalogue (FIRST_DATE to today). Progress is
+// recorded in <out>/manifest.json after every date, so an interrupted run can be
+// restarted with the same arguments and will skip dates already downloaded.
+// Serve the result with PUZZLE_SOURCE=archive ARCHIVE_DIR=<out> node server.js
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { fetchMini, source } = require('./server/fetchMini');
+const { normalizeNyt } = require('./server/puzzleSchema');
+const { FIRST_DATE, latestPuzzleDate, checkDate, datesBetween, toDate } = require('./server/dates');
+
+const MANIFEST_FILE = 'manifest.json';
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function usage(message) {
+  if (message) console.error(message);
+  console.error('Usage: node archive.js [--from yyyy-mm-dd] [--to yyyy-mm-dd] [--out dir] [--delay ms]');
+  process.exit(1);
+}
+
+function readManifest(file) {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { ...manifest, dates: manifest.dates || {} };
+  } catch {
+    return { dates: {} };
+  }
+}
+
+// Write atomically so an interrupted run never leaves a half-written manifest
+function writeManifest(file, manifest) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(manifest, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+async function main() {
+  let args;
+  try {
+    ({ values: args } = parseArgs({
+      options: {
+        from: { type: 'string', default: FIRST_DATE },
+        to: { type: 'string', default: latestPuzzleDate() },
+        out: { type: 'string', default: path.join(__dirname, 'archive') },
+        delay: { type: 'string', default: '1000' },
+      },
+    }));
+  } catch (err) {
+    usage(err.message);
+  }
+
+  const problem = checkDate(args.from) || checkDate(args.to);
+  if (problem) usage(problem.error);
+  if (toDate(args.from) > toDate(args.to)) usage('--from must not be after --to');
+  const delay = Number(args.delay);
+  if (!Number.isFinite(delay) || delay < 0) usage('--delay must be a number of milliseconds');
+
+  fs.mkdirSync(args.out, { recursive: true });
+  const manifestFile = path.join(args.out, MANIFEST_FILE);
+  const manifest = readManifest(manifestFile);
+  manifest.source = source.name;
+
+  // Stop after the current date on Ctrl-C; the manifest is always up to date
+  let stopping = false;
+  process.on('SIGINT', () => {
+    if (stopping) process.exit(130);
+    stopping = true;
+    console.log('\nStopping after the current date (Ctrl-C again to quit now)');
+  });
+
+  const todo = datesBetween(args.from, args.to).filter((date) => {
+    const done = manifest.dates[date]?.status === 'ok';
+    return !done || !fs.existsSync(path.join(args.out, `${date}.json`));
+  });
+  console.log(`Archiving ${todo.length} dates to ${args.out} from ${source.name}`);
+
+  let ok = 0;
+  let failed = 0;
+  for (const [i, date] of todo.entries()) {
+    if (stopping) break;
+    try {
+      const { body } = await fetchMini(date);
+      normalizeNyt(body, { date }); // reject malformed payloads rather than archive them
+      fs.writeFileSync(path.join(args.out, `${date}.json`), body);
+      manifest.dates[date] = { status: 'ok', bytes: Buffer.byteLength(body), at: new Date().toISOString() };
+      ok++;
+      console.log(`[${i + 1}/${todo.length}] ${date} ok`);
+    } catch (err) {
+      manifest.dates[date] = { status: 'failed', code: err.code || 'internal', error: String(err?.message || err), at: new Date().toISOString() };
+      failed++;
+      console.log(`[${i + 1}/${todo.length}] ${date} failed: ${err.message || err}`);
+    }
+    manifest.updatedAt = new Date().toISOString();
+    writeManifest(manifestFile, manifest);
+    if (delay && i < todo.length - 1 && !stopping) await sleep(delay);
+  }
+
+  console.log(`Done: ${ok} downloaded, ${failed} failed, ${todo.length - ok - failed} skipped`);
+  process.exitCode = failed ? 2 : 0;
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
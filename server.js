@@ -1,12 +1,73 @@
 const express = require('express');
 const cors = require('cors');
+const path = require('path');
+const { createPuzzleCache } = require('./server/puzzleCache');
+const { UpstreamError, upstreamEvents, createSingleFlight } = require('./server/upstream');
+const { ARCHIVE_DIR, source, fetchPuzzle } = require('./server/fetchMini');
+const { PuzzleSchemaError, normalizeNyt } = require('./server/puzzleSchema');
+const { stripAnswers, stripRawAnswers, checkEntries, revealCells } = require('./server/answers');
+const { checkDate, dateProblemStatus, toDate } = require('./server/dates');
+const { ApiError, BadRequestError } = require('./server/errors');
+const { toPuz } = require('./server/puzFormat');
+const { toIpuz, fromIpuz } = require('./server/ipuzFormat');
+const { parseRandomFilters, candidateDates, matchesSize, createRng, shuffle } = require('./server/randomPick');
+const { createAdminRouter } = require('./server/admin');
+const { createArchiveIndex } = require('./server/archiveIndex');
+const { log, requestContext, requestLogger, routeOf } = require('./server/logger');
+const { createRegistry } = require('./server/metrics');
+const { createReadiness } = require('./server/health');
+const { createRooms } = require('./server/rooms');
+const { DEFAULT_TYPE, PUZZLE_TYPES, isPuzzleType, puzzleKey, latestDateFor } = require('./shared/puzzleTypes.mjs');
 
 const app = express();
-app.use(cors());
 
-const cache = {};
-const CACHE_TTL = 1000 * 60 * 60; // 1 hour
-const FIRST_DATE = '2014-08-21';
+const CACHE_TTL = 1000 * 60 * 60; // 1 hour, only applies to the newest puzzle
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10000; // grace period on SIGTERM
+const MAX_RANDOM_FETCHES = 10; // upstream fetches per random pick before giving up
+
+// When set, puzzles are sent without answers and the client checks via the server
+const HIDE_ANSWERS = /^(1|true|yes)$/i.test(process.env.HIDE_ANSWERS || '');
+
+// Past puzzles never change, so they're kept on disk until evicted by size
+const cache = createPuzzleCache({
+  dir: process.env.CACHE_DIR || path.join(__dirname, '.cache', 'puzzles'),
+  maxBytes: Number(process.env.CACHE_MAX_BYTES) || 50 * 1024 * 1024,
+});
+
+const coalesce = createSingleFlight();
+const archiveIndex = createArchiveIndex({ source, cache, archiveDir: ARCHIVE_DIR });
+const readiness = createReadiness({ source });
+const rooms = createRooms();
+let shuttingDown = false;
+
+// Prometheus metrics, served at /metrics
+const metrics = createRegistry();
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+const upstreamDuration = metrics.histogram(
+  'upstream_request_duration_seconds',
+  'Upstream puzzle fetch latency per attempt, by host and HTTP status or error code',
+  ['host', 'status']
+);
+metrics.collected('puzzle_cache_entries', 'Puzzles in the on-disk cache', () => cache.size);
+metrics.collected('puzzle_cache_bytes', 'Size of the on-disk cache in bytes', () => cache.bytes);
+metrics.collected('puzzle_cache_max_bytes', 'Size cap of the on-disk cache in bytes', () => cache.maxBytes);
+metrics.collected('puzzle_cache_hits_total', 'Cache lookups served from disk', () => cache.hits, 'counter');
+metrics.collected('puzzle_cache_misses_total', 'Cache lookups that missed', () => cache.misses, 'counter');
+metrics.collected('coop_rooms', 'Open co-op rooms', () => rooms.size);
+metrics.collected('coop_connections', 'Connected co-op sockets', () => rooms.connections);
+
+// Every upstream attempt (including retries) is logged and timed
+upstreamEvents.on('attempt', ({ url, attempt, durationMs, status, code }) => {
+  const host = new URL(url).host;
+  upstreamDuration.observe({ host, status: status ?? code }, durationMs / 1000);
+  (code ? log.warn : log.info)('upstream', { url, attempt, status, code, durationMs: Math.round(durationMs * 10) / 10 });
+});
+
+// Request IDs and one log line per request; this comes first so every request is counted
+app.use(requestLogger({
+  onFinish: (req, res) => httpRequests.inc({ method: req.method, route: routeOf(req), status: res.statusCode }),
+}));
+app.use(cors());
 
 app.use((req, _res, next) => {
   if (req.url.startsWith('/api/')) {
@@ -15,159 +76,396 @@ app.use((req, _res, next) => {
   next();
 });
 
-function isValidDateStr(s) {
-  return /^\d{4}-\d{2}-\d{2}$/.test(s);
+// Middleware to validate :type param (see shared/puzzleTypes.mjs)
+// Unknown types get a 404, like any other missing route
+function validateTypeMiddleware(req, res, next) {
+  if (!isPuzzleType(req.params.type)) {
+    return res.status(404).json({ ok: false, code: 'not_found', error: `Unknown puzzle type: ${req.params.type}` });
+  }
+  next();
 }
 
-// Parse a yyyy-mm-dd date string into a Date object
-function toDate(s) {
-  const [y, m, d] = s.split('-').map(Number);
-  return new Date(y, m - 1, d);
+// Middleware to validate :date param, against the rules for :type when there is one
+// If invalid, respond with 400 and error message; 404 not_released (with releaseAt)
+// for the next puzzle before it comes out
+function validateDateMiddleware(req, res, next) {
+  const problem = checkDate(req.params.date, req.params.type || DEFAULT_TYPE);
+  if (problem) return res.status(dateProblemStatus(problem)).json(problem);
+  next();
 }
 
-// Format a Date object as yyyy-mm-dd
-function fmt(dateObj) {
-  const y = dateObj.getFullYear();
-  const m = String(dateObj.getMonth() + 1).padStart(2, '0');
-  const d = String(dateObj.getDate()).padStart(2, '0');
-  return `${y}-${m}-${d}`;
+const validatePuzzleParams = [validateTypeMiddleware, validateDateMiddleware];
+
+// Cached wrapper around fetchPuzzle
+// Past dates are served from disk indefinitely; the newest puzzle is refreshed after CACHE_TTL
+// Local sources (fixtures) skip the cache entirely
+// Concurrent misses for the same puzzle share a single upstream fetch
+// Cache entries are keyed by puzzleKey(), so minis keep their bare-date keys
+// Only bodies that normalize are cached; a malformed one throws PuzzleSchemaError
+// and the next request tries upstream again
+async function getRaw(type, date) {
+  const key = puzzleKey(type, date);
+  if (source.cacheable) {
+    const maxAge = date === latestDateFor(type) ? CACHE_TTL : Infinity;
+    const cached = await cache.get(key, { maxAge });
+    const ctx = requestContext.getStore();
+    if (ctx) ctx.cache = cached != null ? 'hit' : 'miss';
+    if (cached != null) {
+      return { status: 200, body: cached, type: 'application/json', cached: true };
+    }
+  }
+  return coalesce(key, async () => {
+    const result = await fetchPuzzle(type, date);
+    log.info('puzzle fetched', { type, date, source: source.name });
+    if (source.cacheable) {
+      normalizeNyt(result.body, { date, type });
+      await cache.set(key, result.body);
+    }
+    return { ...result, cached: false };
+  });
 }
 
-// Return today's date as yyyy-mm-dd
-function todayISO() {
-  return fmt(new Date());
+// Raw mini for a date, used by the cache warm route
+function getMini(date) {
+  return getRaw('mini', date);
 }
 
-// Return number of days between two date strings (a, b)
-// Both a and b must be valid date strings (yyyy-mm-dd)
-function daysBetween(a, b) {
-  const ms = 24 * 60 * 60 * 1000;
-  return Math.floor((toDate(b) - toDate(a)) / ms);
+// Normalized puzzle for a date, answers included (server-side use only)
+async function getPuzzle(type, date) {
+  const { body } = await getRaw(type, date);
+  return normalizeNyt(body, { date, type });
 }
 
-// Return a random date string between aISO and bISO (inclusive)
-// Both aISO and bISO must be valid date strings (yyyy-mm-dd)
-function randomDateBetween(aISO, bISO) {
-  const span = daysBetween(aISO, bISO);
-  const offset = Math.floor(Math.random() * (span + 1));
-  const base = toDate(aISO);
-  base.setDate(base.getDate() + offset);
-  return fmt(base);
+// Puzzle as it should be sent to the browser
+function forClient(puzzle) {
+  return HIDE_ANSWERS ? stripAnswers(puzzle) : puzzle;
 }
 
-// Middleware to validate :date param
-// If invalid, respond with 400 and error message
-function validateDateMiddleware(req, res, next) {
-  const date = req.params.date;
-  if (!isValidDateStr(date)) {
-    return res.status(400).json({ ok: false, error: 'Bad date format, expected yyyy-mm-dd' });
-  }
-  // enforce first date and not after today
-  if (toDate(date) < toDate(FIRST_DATE)) {
-    return res.status(400).json({
-      error: 'Date is before the first NYT Mini (2014-08-21).',
-      firstAvailable: FIRST_DATE
-    });
-  }
-  if (toDate(date) > toDate(todayISO())) {
-    return res.status(400).json({
-      error: 'Date is in the future.',
-      lastAvailable: todayISO()
-    });
+// Send an error response in the shape the client expects: { ok, code, error }
+function sendError(res, err) {
+  if (err instanceof UpstreamError) {
+    return res.status(err.httpStatus).json({ ok: false, code: err.code, error: err.message });
   }
-  next();
+  if (err instanceof ApiError) {
+    return res.status(err.status).json({ ok: false, code: err.code, error: err.message });
+  }
+  if (err instanceof PuzzleSchemaError) {
+    log.error('malformed puzzle', { error: err.message, details: err.errors });
+    return res.status(502).json({ ok: false, code: err.code, error: err.message, details: err.errors });
+  }
+  log.error('unhandled error', { err });
+  return res.status(500).json({ ok: false, code: 'internal', error: String(err?.message || err) });
 }
 
-// Fetch the mini puzzle JSON for a given date
-// Returns { status, body, type }
-async function fetchMini(date) {
-  const url = `https://www.nytimes.com/svc/crosswords/v6/puzzle/mini/${date}.json`;
-  const r = await fetch(url, {
-    headers: {
-      'X-Games-Auth-Bypass': 'true',
-      'Referer': `https://www.nytimes.com/crosswords/game/mini/${date}`,
-      'User-Agent': 'Mozilla/5.0',
-      'Accept': '*/*',
-      'Content-Type': 'application/x-www-form-urlencoded',
-    },
-  });
-  const body = await r.text();
-  const type = r.headers.get('content-type') || 'application/json';
-  console.log("Returning crossword for", date)
-  return { status: r.status, body, type };
+// Pick a random date that has a puzzle of a type and matches the filters (see server/randomPick.js)
+// Candidates are shuffled (deterministically when seeded) and tried in order;
+// cached or local puzzles are free, but at most MAX_RANDOM_FETCHES go upstream
+// Returns { date, body } with the raw upstream body, throws a 404 no_match if nothing fits
+async function getRandomPuzzle(type, filters) {
+  const known = source.listDates ? await source.listDates(type) : null;
+  const candidates = shuffle(candidateDates(filters, { known, type }), createRng(filters.seed));
+  let fetches = 0;
+  for (const date of candidates) {
+    if (fetches >= MAX_RANDOM_FETCHES) break;
+    if (source.cacheable && !cache.has(puzzleKey(type, date))) fetches++;
+    try {
+      const { body } = await getRaw(type, date);
+      if (filters.sizes.length && !matchesSize(filters, normalizeNyt(body, { date, type }).size)) continue;
+      return { date, body };
+    } catch (err) {
+      // a missing or unreadable date just means we try the next one; anything else is a real failure
+      if (!(err instanceof UpstreamError && err.code === 'not_found') && !(err instanceof PuzzleSchemaError)) throw err;
+    }
+  }
+  throw new ApiError(404, 'no_match', 'No puzzle matches these filters');
 }
 
-// Random mini route: try up to 5 times to find a date that exists
-// If all fail, return the first date as a fallback
-// Response format: { resolvedDate, body: [nytJson] }
 app.use(express.json());
-app.get('/puzzle/mini/random.json', async (req, res) => {
+
+// Every puzzle route takes a :type (mini, midi, daily or bonus); see shared/puzzleTypes.mjs
+// for each type's first date and grid sizes. The literal random/today routes are
+// declared before the :date ones so they aren't read as dates.
+
+// Random puzzle routes take filters from the query string (GET) or a JSON body (POST)
+// A long list of dates to exclude is better sent with POST
+function randomFilters(req) {
+  return parseRandomFilters(req.method === 'POST' ? req.body || {} : req.query);
+}
+
+// Random puzzle route
+// Response format: { resolvedDate, body: [nytJson] }
+async function randomRaw(req, res) {
   try {
-    const end = todayISO();
-    for (let attempt = 0; attempt < 5; attempt++) {
-      const date = randomDateBetween(FIRST_DATE, end);
-      const { status, body, type } = await fetchMini(date);
-      if (status === 200) {
-        const nyt = JSON.parse(body);
-        cache[date] = { timestamp: Date.now(), data: body };
-        return res.json({ resolvedDate: date, body: [nyt] });
-      }
-    }
+    const { date, body } = await getRandomPuzzle(req.params.type, randomFilters(req));
+    const nyt = JSON.parse(HIDE_ANSWERS ? stripRawAnswers(body) : body);
+    return res.json({ resolvedDate: date, body: [nyt] });
+  } catch (err) {
+    return sendError(res, err);
+  }
+}
+app.route('/puzzle/:type/random.json').all(validateTypeMiddleware).get(randomRaw).post(randomRaw);
+
+// Specific date route with caching
+// Response format: [nytJson]
+app.get('/puzzle/:type/:date.json', validatePuzzleParams, async (req, res) => {
+  const { type, date } = req.params;
+
+  try {
+    const { status, body, type: contentType } = await getRaw(type, date);
+    res.status(status).type(contentType).send(HIDE_ANSWERS ? stripRawAnswers(body) : body);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Normalized puzzle routes (schema version 1, see server/puzzleSchema.js)
+// Response format: normalized puzzle; malformed upstream payloads are rejected with 502
+// With HIDE_ANSWERS, cells have no answer and the response has answersHidden: true
+async function randomPuzzle(req, res) {
+  const { type } = req.params;
+  try {
+    const { date, body } = await getRandomPuzzle(type, randomFilters(req));
+    res.json(forClient(normalizeNyt(body, { date, type })));
+  } catch (err) {
+    sendError(res, err);
+  }
+}
+app.route('/puzzle/v1/:type/random.json').all(validateTypeMiddleware).get(randomPuzzle).post(randomPuzzle);
 
-    const fallback = FIRST_DATE;
-    const { body } = await fetchMini(fallback);
-    const nyt = JSON.parse(body);
-    return res.json({ resolvedDate: fallback, body: [nyt] });
+// Today's puzzle: the newest one released on the NYT schedule (New York time), so
+// everyone gets the new puzzle the moment it's out, whatever their own date is
+// For monthly types this is the puzzle dated the 1st of the current month
+app.get('/puzzle/v1/:type/today.json', validateTypeMiddleware, async (req, res) => {
+  const { type } = req.params;
+  const date = latestDateFor(type);
+  try {
+    res.json(forClient(await getPuzzle(type, date)));
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ error: String(err?.message || err) });
+    sendError(res, err);
   }
 });
 
+// Availability for a month, for the archive calendar (see server/archiveIndex.js)
+// Minis only
+// Response format: { month, first, today, days: [{ date, available, size, cached, archived }] }
+app.get('/puzzle/v1/mini/month/:month.json', async (req, res) => {
+  try {
+    res.json(await archiveIndex.month(req.params.month));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
-// Specific date route with caching
-// Response format: [nytJson]
-app.get('/puzzle/mini/:date.json', validateDateMiddleware, async (req, res) => {
-  const date = req.params.date;
-  const now = Date.now();
+app.get('/puzzle/v1/:type/:date.json', validatePuzzleParams, async (req, res) => {
+  try {
+    res.json(forClient(await getPuzzle(req.params.type, req.params.date)));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
-  if (cache[date] && now - cache[date].timestamp < CACHE_TTL) {
-    return res.type('application/json').send(cache[date].data);
+// Title, author and copyright for exported files (.puz, .ipuz)
+function exportInfo(puzzle) {
+  const longDate = toDate(puzzle.date).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+  const { label } = PUZZLE_TYPES[puzzle.puzzleType];
+  return {
+    title: puzzle.meta.title || `NYT ${label} Crossword, ${longDate}`,
+    author: puzzle.meta.constructors.join(' / '),
+    copyright: `© ${puzzle.meta.copyright || puzzle.date.slice(0, 4)} The New York Times`,
+  };
+}
+
+// Across Lite download for a date
+// Not available with HIDE_ANSWERS, since the file contains the solution
+app.get('/puzzle/:type/:date.puz', validatePuzzleParams, async (req, res) => {
+  if (HIDE_ANSWERS) {
+    return res.status(403).json({ ok: false, code: 'answers_hidden', error: 'Downloads are disabled while answers are hidden' });
   }
+  const { type, date } = req.params;
+  try {
+    const puzzle = await getPuzzle(type, date);
+    res
+      .attachment(`nyt-${type}-${date}.puz`)
+      .type('application/x-crossword')
+      .send(toPuz(puzzle, exportInfo(puzzle)));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
+// ipuz download for a date, same rules as .puz
+app.get('/puzzle/:type/:date.ipuz', validatePuzzleParams, async (req, res) => {
+  if (HIDE_ANSWERS) {
+    return res.status(403).json({ ok: false, code: 'answers_hidden', error: 'Downloads are disabled while answers are hidden' });
+  }
+  const { type, date } = req.params;
   try {
-    const { status, body, type } = await fetchMini(date);
-    cache[date] = { timestamp: now, data: body };
-    res.status(status).type(type).send(body);
+    const puzzle = await getPuzzle(type, date);
+    res
+      .attachment(`nyt-${type}-${date}.ipuz`)
+      .type('application/json')
+      .send(JSON.stringify(toIpuz(puzzle, exportInfo(puzzle)), null, 2));
   } catch (err) {
-    res.status(500).json({ error: String(err) });
+    sendError(res, err);
   }
 });
 
-// Cache management routes
-app.get('/cache/clear', (req, res) => {
-  Object.keys(cache).forEach(k => delete cache[k]);
-  res.json({ ok: true, message: 'Cache cleared' });
+// Convert an uploaded ipuz file to a normalized puzzle
+// Request: the ipuz document as JSON
+// Response: normalized puzzle with date null and a content-derived id ("ipuz-…");
+// answers are always included since they came from the uploader
+app.post('/puzzle/v1/import/ipuz', (req, res) => {
+  try {
+    res.json(fromIpuz(req.body));
+  } catch (err) {
+    if (err instanceof PuzzleSchemaError) {
+      return res.status(400).json({ ok: false, code: err.code, error: `Invalid ipuz file: ${err.errors[0]}`, details: err.errors });
+    }
+    sendError(res, err);
+  }
 });
-app.get('/cache/clear/:date', (req, res) => {
-  const date = req.params.date;
-  if (cache[date]) {
-    delete cache[date];
-    res.json({ ok: true, message: `Cache cleared for ${date}` });
-  } else {
-    res.json({ ok: false, message: `No cache entry for ${date}` });
+
+// Check entries for a cell, word or the whole grid
+// Request: { entries: { [cellIndex]: letter } }
+// Response: { results: { [cellIndex]: "correct" | "wrong" }, solved }
+app.post('/puzzle/v1/:type/:date/check', validatePuzzleParams, async (req, res) => {
+  try {
+    const puzzle = await getPuzzle(req.params.type, req.params.date);
+    res.json(checkEntries(puzzle, req.body?.entries));
+  } catch (err) {
+    sendError(res, err);
   }
 });
 
-const path = require('path');
+// Reveal answers for a cell, word or the whole grid (omit cells for the whole grid)
+// Request: { cells?: [cellIndex] }
+// Response: { answers: { [cellIndex]: letter } }
+app.post('/puzzle/v1/:type/:date/reveal', validatePuzzleParams, async (req, res) => {
+  try {
+    const puzzle = await getPuzzle(req.params.type, req.params.date);
+    res.json(revealCells(puzzle, req.body?.cells));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Co-op and race rooms (see server/rooms.js): create a room for a puzzle, then
+// connect to /rooms/:id/socket with a WebSocket
+// Request: { type, date, mode? ('coop' or 'race') }; response: 201 { id, mode, type, date }
+app.post('/rooms', async (req, res) => {
+  const { type = DEFAULT_TYPE, date, mode = 'coop' } = req.body || {};
+  if (!isPuzzleType(type)) {
+    return res.status(400).json({ ok: false, code: 'bad_request', error: `Unknown puzzle type: ${type}` });
+  }
+  const problem = checkDate(date, type);
+  if (problem) return res.status(dateProblemStatus(problem)).json(problem);
+  try {
+    const puzzle = await getPuzzle(type, date);
+    res.status(201).json(rooms.describe(rooms.create(puzzle, { mode })));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Which puzzle a room is for, and for races the status and results so far;
+// 404 once it's gone (rooms are kept in memory)
+// Response format: { id, mode, type, date, status?, results? }
+app.get('/rooms/:id.json', (req, res) => {
+  const room = rooms.get(req.params.id);
+  if (!room) return res.status(404).json({ ok: false, code: 'not_found', error: 'Room not found' });
+  res.json(rooms.describe(room));
+});
+
+// Cache administration routes (DELETE /cache, DELETE /cache/:date, GET /cache/stats, POST /cache/warm)
+// Protected by ADMIN_TOKEN, see server/admin.js
+app.use('/cache', createAdminRouter({
+  token: process.env.ADMIN_TOKEN,
+  cache,
+  warm: getMini,
+}));
+
+// Liveness: the process is up and serving requests
+app.get('/healthz', (_req, res) => {
+  res.json({ ok: true, uptime: process.uptime() });
+});
+
+// Readiness: the puzzle source can be used (see server/health.js); 503 while shutting down
+app.get('/readyz', async (_req, res) => {
+  if (shuttingDown) return res.status(503).json({ ready: false, reason: 'shutting_down' });
+  try {
+    const status = await readiness.check();
+    res.status(status.ready ? 200 : 503).json(status);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Prometheus scrape endpoint (also at /api/metrics)
+app.get('/metrics', (_req, res) => {
+  res.type(metrics.contentType).send(metrics.render());
+});
+
 app.use(express.static(path.join(__dirname, 'dist')));
 
-const SPA_ROUTES = /^(?!\/(puzzle|cache)\/).*/;
+// Everything except the API routes falls through to the app
+const SPA_ROUTES = /^(?!\/(puzzle|cache|rooms)\/|\/(metrics|healthz|readyz)$).*/;
 app.get(SPA_ROUTES, (_req, res) => {
   res.sendFile(path.join(__dirname, 'dist', 'index.html'));
 });
 
+// Errors thrown before a route handler, such as a bad JSON body from express.json(),
+// get the same { ok: false, code, error } shape as everything else
+app.use((err, _req, res, next) => {
+  if (res.headersSent) return next(err);
+  if (err.type === 'entity.parse.failed') return sendError(res, new BadRequestError('Request body is not valid JSON'));
+  if (err.type === 'entity.too.large') return sendError(res, new ApiError(413, 'too_large', 'Request body is too large'));
+  sendError(res, err);
+});
+
 const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => {
-  console.log(`NYT Mini proxy listening on http://localhost:${PORT}`);
+const server = app.listen(PORT, () => {
+  log.info('listening', { url: `http://localhost:${PORT}`, source: source.name });
+});
+
+// WebSocket upgrades for co-op rooms; anything else is refused
+server.on('upgrade', (req, socket, head) => {
+  if (!rooms.handleUpgrade(req, socket, head)) socket.destroy();
 });
+
+// Resolves after ms, or with the given promise if that settles first; true if it timed out
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve) => { timer = setTimeout(() => resolve(true), ms); });
+  return Promise.race([promise.then(() => false), timeout]).finally(() => clearTimeout(timer));
+}
+
+// Graceful shutdown: stop accepting connections, give in-flight requests and upstream
+// fetches up to SHUTDOWN_TIMEOUT_MS to finish (so their results still get cached),
+// then flush the cache index and exit
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  log.info('shutting down', { signal, inflightFetches: coalesce.pending().length });
+
+  rooms.close(); // open sockets would otherwise hold the server open
+  const closed = new Promise((resolve) => server.close(resolve));
+  const timedOut = await withTimeout(
+    Promise.all([closed, Promise.allSettled(coalesce.pending())]),
+    SHUTDOWN_TIMEOUT_MS
+  );
+  if (timedOut) {
+    log.warn('shutdown timed out, dropping open connections', { timeoutMs: SHUTDOWN_TIMEOUT_MS });
+    server.closeAllConnections();
+  }
+
+  try {
+    await cache.flush();
+  } catch (err) {
+    log.error('failed to flush cache on shutdown', { err });
+  }
+  log.info('stopped');
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
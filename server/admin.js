@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const express = require('express');
+const { checkDate, dateProblemStatus, datesBetween, toDate } = require('./dates');
+
+const MAX_WARM_DAYS = 366;
+
+// Middleware: require `Authorization: Bearer <token>` matching the admin token
+// With no token configured the admin routes are disabled entirely
+function requireAdminToken(token) {
+  const expected = token ? crypto.createHash('sha256').update(token).digest() : null;
+  return (req, res, next) => {
+    if (!expected) {
+      return res.status(403).json({ ok: false, code: 'admin_disabled', error: 'Admin routes are disabled; set ADMIN_TOKEN to enable them' });
+    }
+    const [scheme, given] = (req.get('authorization') || '').split(' ');
+    const actual = crypto.createHash('sha256').update(given || '').digest();
+    if (scheme !== 'Bearer' || !crypto.timingSafeEqual(actual, expected)) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ ok: false, code: 'unauthorized', error: 'Missing or invalid admin token' });
+    }
+    next();
+  };
+}
+
+// Cache administration routes, mounted at /cache
+// warm(date) must fetch a date through the cache (i.e. getMini)
+function createAdminRouter({ token, cache, warm }) {
+  const router = express.Router();
+  router.use(requireAdminToken(token));
+
+  // Entry count, hit/miss ratio, bytes and per-date age
+  router.get('/stats', (_req, res) => {
+    const { items, ...totals } = cache.stats();
+    res.json({
+      ok: true,
+      ...totals,
+      dates: items.map(({ key, ...item }) => ({ date: key, ...item })),
+    });
+  });
+
+  // Pre-fetch a date range into the cache
+  // Request: { from, to? }; dates are fetched one at a time
+  router.post('/warm', async (req, res) => {
+    const from = req.body?.from;
+    const to = req.body?.to ?? from;
+    const problem = checkDate(from) || checkDate(to);
+    if (problem) return res.status(dateProblemStatus(problem)).json(problem);
+    if (toDate(from) > toDate(to)) {
+      return res.status(400).json({ ok: false, error: '`from` must not be after `to`' });
+    }
+    const dates = datesBetween(from, to);
+    if (dates.length > MAX_WARM_DAYS) {
+      return res.status(400).json({ ok: false, error: `Range too large, at most ${MAX_WARM_DAYS} days per request` });
+    }
+
+    const warmed = [];
+    const cached = [];
+    const failed = [];
+    for (const date of dates) {
+      try {
+        const result = await warm(date);
+        (result.cached ? cached : warmed).push(date);
+      } catch (err) {
+        failed.push({ date, code: err.code || 'internal', error: String(err?.message || err) });
+      }
+    }
+    res.json({ ok: failed.length === 0, warmed, cached, failed });
+  });
+
+  router.delete('/', async (_req, res) => {
+    await cache.clear();
+    res.json({ ok: true, message: 'Cache cleared' });
+  });
+
+  router.delete('/:date', async (req, res) => {
+    const date = req.params.date;
+    if (cache.has(date) && await cache.delete(date)) {
+      res.json({ ok: true, message: `Cache cleared for ${date}` });
+    } else {
+      res.status(404).json({ ok: false, message: `No cache entry for ${date}` });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter, requireAdminToken };
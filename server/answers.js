@@ -0,0 +1,77 @@
+// Answer hiding and server-side checking
+// When answers are hidden, puzzles go to the browser without `answer` fields and
+// the client asks the check/reveal routes instead of comparing locally.
+
+const { BadRequestError } = require('./errors');
+const { normalizeEntry, isCorrectEntry } = require('../shared/entries.mjs');
+
+// Copy of a normalized puzzle with answers (and alternate answers) removed
+function stripAnswers(puzzle) {
+  return {
+    ...puzzle,
+    answersHidden: true,
+    cells: puzzle.cells.map((c) => {
+      const cell = { ...c };
+      delete cell.answer;
+      delete cell.alternates;
+      return cell;
+    }),
+  };
+}
+
+// Remove answers from a raw NYT v6 body (string), returning a string
+function stripRawAnswers(body) {
+  const doc = JSON.parse(body);
+  for (const p of Array.isArray(doc?.body) ? doc.body : []) {
+    for (const c of Array.isArray(p?.cells) ? p.cells : []) {
+      if (c && typeof c === 'object') {
+        delete c.answer;
+        delete c.moreAnswers;
+      }
+    }
+  }
+  return JSON.stringify(doc);
+}
+
+function assertLetterCell(puzzle, index) {
+  const i = Number(index);
+  if (!Number.isInteger(i) || puzzle.cells[i]?.type !== 'letter') {
+    throw new BadRequestError(`Cell ${index} is not a playable cell`);
+  }
+  return i;
+}
+
+// Check user entries against the answers and any alternates (see shared/entries.mjs)
+// entries: { [cellIndex]: "A" }, several characters for a rebus; empty entries are skipped
+// Returns { results: { [cellIndex]: "correct" | "wrong" }, solved }
+// solved is true only when entries cover every letter cell and all are correct
+function checkEntries(puzzle, entries) {
+  if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+    throw new BadRequestError('Expected entries as an object of { cellIndex: letter }');
+  }
+  const results = {};
+  for (const [index, value] of Object.entries(entries)) {
+    const i = assertLetterCell(puzzle, index);
+    if (!normalizeEntry(value)) continue;
+    results[i] = isCorrectEntry(puzzle.cells[i], value) ? 'correct' : 'wrong';
+  }
+  const solved = puzzle.cells.every((c, i) => c.type !== 'letter' || results[i] === 'correct');
+  return { results, solved };
+}
+
+// Answers for the given cell indices, or every letter cell if none are given
+// Returns { answers: { [cellIndex]: "A" } }
+function revealCells(puzzle, cells) {
+  if (cells != null && !Array.isArray(cells)) {
+    throw new BadRequestError('Expected cells as an array of cell indices');
+  }
+  const indices = cells ?? puzzle.cells.map((c, i) => (c.type === 'letter' ? i : null)).filter((i) => i != null);
+  const answers = {};
+  for (const index of indices) {
+    const i = assertLetterCell(puzzle, index);
+    answers[i] = puzzle.cells[i].answer;
+  }
+  return { answers };
+}
+
+module.exports = { stripAnswers, stripRawAnswers, checkEntries, revealCells };
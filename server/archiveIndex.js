@@ -0,0 +1,88 @@
+const { BadRequestError } = require('./errors');
+const { FIRST_DATE, latestPuzzleDate, addDays, datesBetween } = require('./dates');
+const { normalizeNyt } = require('./puzzleSchema');
+const { createFixtureSource } = require('./sources');
+
+// Per-month availability index for the archive calendar
+// Only looks at what's already on this machine (the cache, a local source or
+// the archive directory); it never fetches upstream. For HTTP sources every
+// date from FIRST_DATE to the newest released puzzle is assumed to be available, and the grid size
+// is only known once the puzzle has been cached or archived.
+
+const MONTH_RE = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Every date in a yyyy-mm month
+function monthDates(month) {
+  const first = `${month}-01`;
+  const [y, m] = month.split('-').map(Number);
+  const nextMonth = m === 12 ? `${y + 1}-01-01` : `${y}-${String(m + 1).padStart(2, '0')}-01`;
+  return datesBetween(first, addDays(nextMonth, -1));
+}
+
+function createArchiveIndex({ source, cache, archiveDir }) {
+  const archive = archiveDir ? createFixtureSource({ dir: archiveDir, name: 'archive' }) : null;
+  // date -> { rows, cols }; published grids don't change
+  const sizes = new Map();
+
+  // Dates present in the archive directory (none if it doesn't exist yet)
+  async function archivedDates() {
+    if (source.name === 'archive' || !archive) return new Set();
+    try {
+      return new Set(await archive.listDates());
+    } catch {
+      return new Set();
+    }
+  }
+
+  // Raw body for a date from local storage only, or null
+  async function localBody(date, { cached, archived, listed }) {
+    if (cached) return cache.peek(date);
+    if (listed) return (await source.fetchMini(date)).body;
+    if (archived) return (await archive.fetchMini(date)).body;
+    return null;
+  }
+
+  async function sizeOf(date, where) {
+    if (sizes.has(date)) return sizes.get(date);
+    try {
+      const body = await localBody(date, where);
+      if (body == null) return null;
+      const { size } = normalizeNyt(body, { date });
+      sizes.set(date, size);
+      return size;
+    } catch {
+      return null; // unreadable; the calendar just won't show a size
+    }
+  }
+
+  // Availability for a yyyy-mm month
+  // Returns { month, first, today, days: [{ date, available, size, cached, archived }] }
+  // where today is the newest released puzzle
+  // Throws BadRequestError for a malformed month
+  async function month(month) {
+    if (!MONTH_RE.test(String(month))) throw new BadRequestError('Bad month, expected yyyy-mm');
+    const today = latestPuzzleDate();
+    const [known, archived] = await Promise.all([
+      source.listDates ? source.listDates().catch(() => []).then((list) => new Set(list)) : null,
+      archivedDates(),
+    ]);
+
+    const days = await Promise.all(monthDates(month).map(async (date) => {
+      const inRange = date >= FIRST_DATE && date <= today;
+      const where = {
+        cached: inRange && source.cacheable && cache.has(date),
+        archived: inRange && (source.name === 'archive' ? known.has(date) : archived.has(date)),
+        listed: inRange && !!known?.has(date),
+      };
+      const available = inRange && (known ? where.listed : true);
+      const size = available ? await sizeOf(date, where) : null;
+      return { date, available, size, cached: where.cached, archived: where.archived };
+    }));
+
+    return { month, first: FIRST_DATE, today, days };
+  }
+
+  return { month };
+}
+
+module.exports = { createArchiveIndex };
@@ -0,0 +1,91 @@
+// Date helpers for the server and scripts
+// The calendar and NYT release-time logic lives in shared/dates.mjs, which the
+// browser app uses too; this adds the server-only pieces.
+// All dates are yyyy-mm-dd strings
+
+const {
+  FIRST_DATE,
+  PUBLICATION_TIME_ZONE,
+  isValidDateStr,
+  toDate,
+  fmt,
+  daysBetween,
+  addDays,
+  datesBetween,
+  releaseAt,
+  latestPuzzleDate,
+} = require('../shared/dates.mjs');
+const { PUZZLE_TYPES, latestDateFor, nextDateFor } = require('../shared/puzzleTypes.mjs');
+
+// Return a random date string between aISO and bISO (inclusive)
+// Both aISO and bISO must be valid date strings (yyyy-mm-dd)
+function randomDateBetween(aISO, bISO) {
+  const span = daysBetween(aISO, bISO);
+  const offset = Math.floor(Math.random() * (span + 1));
+  return addDays(aISO, offset);
+}
+
+// Check a date against the rules for a puzzle type (see shared/puzzleTypes.mjs):
+// well formed, not before the type's first date, on the 1st for monthly types,
+// and already released
+// Returns null if it's fine, else an error body with a code:
+//   bad_request   malformed, too early, or further out than anyone's "today"
+//   not_released  the next puzzle (date), not out yet; releaseAt says when it will be
+function checkDate(date, type = 'mini') {
+  const { label, firstDate, monthly } = PUZZLE_TYPES[type];
+  if (!isValidDateStr(date)) {
+    return { ok: false, code: 'bad_request', error: 'Bad date format, expected yyyy-mm-dd' };
+  }
+  if (date < firstDate) {
+    return {
+      ok: false,
+      code: 'bad_request',
+      error: `Date is before the first NYT ${label} (${firstDate}).`,
+      firstAvailable: firstDate,
+    };
+  }
+  if (monthly && !date.endsWith('-01')) {
+    return { ok: false, code: 'bad_request', error: `${label} puzzles are dated the 1st of the month.` };
+  }
+  const latest = latestDateFor(type);
+  if (date === nextDateFor(type)) {
+    return {
+      ok: false,
+      code: 'not_released',
+      error: `The puzzle for ${date} isn't out yet.`,
+      date,
+      releaseAt: releaseAt(date).toISOString(),
+      lastAvailable: latest,
+    };
+  }
+  if (date > latest) {
+    return {
+      ok: false,
+      code: 'bad_request',
+      error: 'Date is in the future.',
+      lastAvailable: latest,
+    };
+  }
+  return null;
+}
+
+// HTTP status for a checkDate() problem
+function dateProblemStatus(problem) {
+  return problem.code === 'not_released' ? 404 : 400;
+}
+
+module.exports = {
+  FIRST_DATE,
+  PUBLICATION_TIME_ZONE,
+  isValidDateStr,
+  toDate,
+  fmt,
+  latestPuzzleDate,
+  daysBetween,
+  randomDateBetween,
+  addDays,
+  datesBetween,
+  releaseAt,
+  checkDate,
+  dateProblemStatus,
+};
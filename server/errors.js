@@ -0,0 +1,19 @@
+// Errors that map directly to an HTTP response of { ok: false, code, error }
+
+class ApiError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+class BadRequestError extends ApiError {
+  constructor(message) {
+    super(400, 'bad_request', message);
+    this.name = 'BadRequestError';
+  }
+}
+
+module.exports = { ApiError, BadRequestError };
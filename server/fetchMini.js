@@ -0,0 +1,42 @@
+const path = require('path');
+const { createPuzzleSource } = require('./sources');
+
+// Whole-number setting from the environment, at least `min`
+// Unset, blank or non-integer values get the default
+function intOption(value, fallback, min = 0) {
+  const n = value == null || String(value).trim() === '' ? NaN : Number(value);
+  return Number.isInteger(n) ? Math.max(min, n) : fallback;
+}
+
+// Upstream fetch settings, shared by every HTTP source
+const UPSTREAM_OPTIONS = {
+  timeoutMs: intOption(process.env.UPSTREAM_TIMEOUT_MS, 10000, 1),
+  retries: intOption(process.env.UPSTREAM_RETRIES, 2),
+  backoffMs: intOption(process.env.UPSTREAM_BACKOFF_MS, 250),
+};
+
+// Directory written by archive.js; also consulted by the archive index for other sources
+const ARCHIVE_DIR = process.env.ARCHIVE_DIR || path.join(__dirname, '..', 'archive');
+
+// Where puzzles come from: the NYT (default), a fixtures or archive directory, or any URL template
+const source = createPuzzleSource({
+  source: process.env.PUZZLE_SOURCE || 'nyt',
+  fixturesDir: process.env.FIXTURES_DIR || path.join(__dirname, '..', 'fixtures'),
+  archiveDir: ARCHIVE_DIR,
+  url: process.env.PUZZLE_SOURCE_URL,
+  fetchOptions: UPSTREAM_OPTIONS,
+});
+
+// Fetch the puzzle JSON of a type (see shared/puzzleTypes.mjs) for a given date
+// from the configured source
+// Returns { status, body, type }, throws UpstreamError on failure
+async function fetchPuzzle(type, date) {
+  return source.fetchPuzzle(type, date);
+}
+
+// Fetch the mini puzzle JSON for a given date
+async function fetchMini(date) {
+  return fetchPuzzle('mini', date);
+}
+
+module.exports = { UPSTREAM_OPTIONS, ARCHIVE_DIR, source, fetchPuzzle, fetchMini };
@@ -0,0 +1,123 @@
+// Clue text and cell styling shared by the NYT and ipuz readers
+// NYT clues carry HTML in text[0].formatted (ipuz clues may contain the same tags);
+// the normalized format keeps the plain text and adds "runs" the app can render
+// without injecting HTML. Cross-references ("See 3-Down") become { direction, label }.
+
+const STYLE_TAGS = { i: 'italic', em: 'italic', b: 'bold', strong: 'bold', sub: 'sub', sup: 'sup' };
+const STYLES = ['italic', 'bold', 'sub', 'sup'];
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+const BAR_SIDES = { T: 'top', R: 'right', B: 'bottom', L: 'left' };
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] !== '#') return ENTITIES[e.toLowerCase()] ?? m;
+    const n = e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+    return n >= 0 && n <= 0x10ffff ? String.fromCodePoint(n) : m;
+  });
+}
+
+// Split HTML clue text into runs: [{ text, italic?, bold?, sub?, sup? }]
+// Other tags are dropped (keeping their text); neighbouring runs with the same style are merged
+function parseFormatted(html) {
+  const runs = [];
+  const open = { italic: 0, bold: 0, sub: 0, sup: 0 };
+  for (const m of String(html).matchAll(/<(\/?)([a-z][a-z0-9]*)[^>]*>|([^<]+)|</gi)) {
+    if (m[2]) {
+      const style = STYLE_TAGS[m[2].toLowerCase()];
+      if (style) open[style] = Math.max(0, open[style] + (m[1] ? -1 : 1));
+      continue;
+    }
+    const run = { text: decodeEntities(m[3] ?? '<') };
+    for (const style of STYLES) if (open[style]) run[style] = true;
+    const last = runs[runs.length - 1];
+    if (last && STYLES.every((s) => !!last[s] === !!run[s])) last.text += run.text;
+    else runs.push(run);
+  }
+  return runs;
+}
+
+// HTML for runs, using the tags ipuz allows (<i>, <b>, <sub>, <sup>)
+function runsToHtml(runs) {
+  const TAGS = { italic: 'i', bold: 'b', sub: 'sub', sup: 'sup' };
+  return runs.map((run) => {
+    const escaped = run.text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const tags = STYLES.filter((s) => run[s]).map((s) => TAGS[s]);
+    return tags.map((t) => `<${t}>`).join('') + escaped + tags.reverse().map((t) => `</${t}>`).join('');
+  }).join('');
+}
+
+// Runs for a clue, or null when it has no formatting worth keeping
+function formattedRuns(html) {
+  if (typeof html !== 'string' || !html.includes('<')) return null;
+  const runs = parseFormatted(html);
+  return runs.some((run) => STYLES.some((s) => run[s])) ? runs : null;
+}
+
+// Plain text of HTML clue text
+function plainText(html) {
+  return parseFormatted(html).map((run) => run.text).join('');
+}
+
+// Clues mentioned in the text: "See 3-Down", "With 5-Across, …", "17-, 23- and 45-Across"
+// Returns [{ direction, label }] in order of appearance
+function crossReferences(text) {
+  const refs = [];
+  for (const m of String(text).matchAll(/\b((?:\d+-[,\s]*(?:(?:and|&|or)\s+)?)+)(Across|Down)\b/gi)) {
+    const direction = m[2][0].toUpperCase() + m[2].slice(1).toLowerCase();
+    for (const label of m[1].match(/\d+/g)) refs.push({ direction, label });
+  }
+  return refs;
+}
+
+// Keep references to clues that exist, other than the clue itself, without duplicates
+function resolveReferences(clue, refs, clues) {
+  const seen = new Set([`${clue.direction}:${clue.label}`]);
+  return refs.filter((ref) => {
+    const key = `${ref.direction}:${ref.label}`;
+    if (seen.has(key) || !clues.some((cl) => cl.direction === ref.direction && cl.label === ref.label)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Bar sides from side letters ('TRBL') or names (['top', 'left']), in TRBL order
+// without duplicates; [] for anything else
+function readBars(value) {
+  const given = Array.isArray(value) ? value.map(String) : [...String(value ?? '').toUpperCase()];
+  return Object.values(BAR_SIDES).filter((side) => given.includes(side) || given.includes(side[0].toUpperCase()));
+}
+
+// Cell styling from an ipuz style object: { shapebg: 'circle', highlight, color, barred: 'TRBL' }
+// Returns { circled?, shaded?, bars? } with only the flags that apply
+function ipuzCellStyle(style) {
+  if (!style || typeof style !== 'object') return {};
+  const out = {};
+  if (style.shapebg === 'circle') out.circled = true;
+  if (style.highlight || style.color) out.shaded = true;
+  const bars = readBars(style.barred);
+  if (bars.length) out.bars = bars;
+  return out;
+}
+
+// The reverse, for ipuz export; null for an unstyled cell
+function toIpuzCellStyle(cell) {
+  const style = {};
+  if (cell.circled) style.shapebg = 'circle';
+  if (cell.shaded) style.highlight = true;
+  if (cell.bars?.length) {
+    style.barred = Object.keys(BAR_SIDES).filter((side) => cell.bars.includes(BAR_SIDES[side])).join('');
+  }
+  return Object.keys(style).length ? style : null;
+}
+
+module.exports = {
+  parseFormatted,
+  formattedRuns,
+  runsToHtml,
+  plainText,
+  crossReferences,
+  resolveReferences,
+  readBars,
+  ipuzCellStyle,
+  toIpuzCellStyle,
+};
@@ -0,0 +1,52 @@
+const { upstreamEvents } = require('./upstream');
+const { latestPuzzleDate } = require('./dates');
+
+// Readiness: can we serve puzzles?
+// Local sources (fixtures, archive) are ready once their directory holds a puzzle.
+// HTTP sources are ready while the upstream answers (any HTTP status, even a 404 for
+// a puzzle that isn't out yet) without refusing us: a "blocked" answer (401, 403,
+// 429) means no uncached puzzle can be fetched. Upstream responses seen while serving
+// requests count, so the check only goes upstream itself when nothing has been
+// heard for ttlMs. A slow probe keeps running in the background, but the check
+// only waits waitMs for it.
+
+function createReadiness({ source, ttlMs = 30 * 1000, waitMs = 2000 }) {
+  let lastResponseAt = 0; // last time the upstream answered with an HTTP status
+  let blocked = false; // whether that answer refused us
+  let probing = null; // in-flight probe, shared by concurrent checks
+
+  upstreamEvents.on('attempt', ({ status, code }) => {
+    if (status == null) return;
+    lastResponseAt = Date.now();
+    blocked = code === 'blocked';
+  });
+
+  // Ask the upstream for the newest puzzle; any HTTP answer proves it's reachable
+  async function probe() {
+    try {
+      await source.fetchMini(latestPuzzleDate());
+    } catch {
+      // failures without a status (timeouts, network errors) leave lastResponseAt alone
+    }
+  }
+
+  // Returns { ready, source, puzzles } for local sources, { ready, source, reachable, blocked } otherwise
+  async function check() {
+    if (source.listDates) {
+      const puzzles = await source.listDates().then((list) => list.length, () => 0);
+      return { ready: puzzles > 0, source: source.name, puzzles };
+    }
+    if (Date.now() - lastResponseAt > ttlMs) {
+      probing ??= probe().finally(() => { probing = null; });
+      let timer;
+      await Promise.race([probing, new Promise((resolve) => { timer = setTimeout(resolve, waitMs); })]);
+      clearTimeout(timer);
+    }
+    const reachable = Date.now() - lastResponseAt <= ttlMs;
+    return { ready: reachable && !blocked, source: source.name, reachable, blocked };
+  }
+
+  return { check };
+}
+
+module.exports = { createReadiness };
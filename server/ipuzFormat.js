@@ -0,0 +1,191 @@
+// ipuz (JSON) import and export
+// Converts between normalized puzzles (see puzzleSchema.js) and ipuz v2 crosswords.
+// Format reference: http://www.ipuz.org/
+
+const crypto = require('crypto');
+const { SCHEMA_VERSION, PuzzleSchemaError } = require('./puzzleSchema');
+const { numberGrid } = require('./puzFormat');
+const { formattedRuns, runsToHtml, plainText, crossReferences, resolveReferences, ipuzCellStyle, toIpuzCellStyle } = require('./formatting');
+
+const IPUZ_VERSION = 'http://ipuz.org/v2';
+const IPUZ_KIND = 'http://ipuz.org/crossword#1';
+const DIRECTIONS = ['Across', 'Down'];
+
+// ipuz dates are mm/dd/yyyy
+function ipuzDate(date) {
+  if (!date) return undefined;
+  const [y, m, d] = date.split('-');
+  return `${m}/${d}/${y}`;
+}
+
+// Build an ipuz document for a normalized puzzle (answers required)
+// info: { title, author, copyright } as for .puz export
+function toIpuz(puzzle, { title = '', author = '', copyright = '' } = {}) {
+  const { rows, cols } = puzzle.size;
+  const at = (r, c) => puzzle.cells[r * cols + c];
+  const grid = (fn) => Array.from({ length: rows }, (_, r) => Array.from({ length: cols }, (_, c) => fn(at(r, c))));
+
+  return {
+    version: IPUZ_VERSION,
+    kind: [IPUZ_KIND],
+    title,
+    author,
+    copyright,
+    publisher: 'The New York Times',
+    date: ipuzDate(puzzle.date),
+    origin: puzzle.id,
+    dimensions: { width: cols, height: rows },
+    block: '#',
+    empty: 0,
+    puzzle: grid((c) => {
+      if (c.type === 'block') return '#';
+      const cell = c.label ? Number(c.label) || c.label : 0;
+      const style = toIpuzCellStyle(c);
+      return style ? { cell, style } : cell;
+    }),
+    solution: grid((c) => (c.type === 'block' ? '#' : c.answer)),
+    clues: Object.fromEntries(
+      DIRECTIONS.map((dir) => [
+        dir,
+        puzzle.clues
+          .filter((cl) => cl.direction === dir)
+          .map((cl) => [Number(cl.label) || cl.label, cl.runs ? runsToHtml(cl.runs) : cl.text]),
+      ])
+    ),
+  };
+}
+
+// Value of an ipuz cell, which may be wrapped as { cell } or { value }
+function unwrap(v, key) {
+  return v != null && typeof v === 'object' && !Array.isArray(v) ? v[key] : v;
+}
+
+// Clue entry as { label, text }: [number, text], "text" or { number, clue }
+function readClue(entry) {
+  if (Array.isArray(entry)) return { label: String(entry[0]), text: String(entry[1] ?? '') };
+  if (entry && typeof entry === 'object') return { label: String(entry.number ?? entry.label ?? ''), text: String(entry.clue ?? '') };
+  return { label: '', text: String(entry ?? '') };
+}
+
+// Cells of the entry starting at index, walking across or down until a block or the edge
+function wordCells(cells, { rows, cols }, start, direction) {
+  const out = [];
+  let r = Math.floor(start / cols);
+  let c = start % cols;
+  while (r < rows && c < cols && cells[r * cols + c].type !== 'block') {
+    out.push(r * cols + c);
+    if (direction === 'Across') c++;
+    else r++;
+  }
+  return out;
+}
+
+// Stable ID for an imported puzzle, derived from its content
+function importedId(puzzle) {
+  const hash = crypto.createHash('sha256').update(JSON.stringify([puzzle.size, puzzle.cells, puzzle.clues])).digest('hex');
+  return `ipuz-${hash.slice(0, 16)}`;
+}
+
+// Convert an ipuz document (string or parsed) into a normalized puzzle
+// Throws PuzzleSchemaError if it isn't a solvable crossword
+function fromIpuz(raw) {
+  let doc = raw;
+  if (typeof raw === 'string') {
+    try {
+      doc = JSON.parse(raw);
+    } catch (err) {
+      throw new PuzzleSchemaError([`document: invalid JSON (${err.message})`]);
+    }
+  }
+
+  const errors = [];
+  if (!doc || typeof doc !== 'object') throw new PuzzleSchemaError(['document: expected an object']);
+  const kinds = Array.isArray(doc.kind) ? doc.kind : [];
+  if (!kinds.some((k) => String(k).startsWith('http://ipuz.org/crossword'))) errors.push('kind: not an ipuz crossword');
+  const cols = doc.dimensions?.width;
+  const rows = doc.dimensions?.height;
+  if (!Number.isInteger(cols) || !Number.isInteger(rows) || cols < 1 || rows < 1) {
+    throw new PuzzleSchemaError([...errors, 'dimensions: expected positive width and height']);
+  }
+  if (!Array.isArray(doc.puzzle) || doc.puzzle.length !== rows) errors.push(`puzzle: expected ${rows} rows`);
+  if (!Array.isArray(doc.solution) || doc.solution.length !== rows) errors.push(`solution: expected ${rows} rows (puzzles without a solution can't be checked)`);
+  if (!doc.clues || typeof doc.clues !== 'object') errors.push('clues: expected an object');
+  if (errors.length) throw new PuzzleSchemaError(errors);
+
+  const block = doc.block ?? '#';
+  const empty = doc.empty ?? 0;
+  const size = { rows, cols };
+
+  const cells = [];
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      const raw = doc.puzzle[r]?.[c];
+      const p = unwrap(raw, 'cell');
+      const sol = unwrap(doc.solution[r]?.[c], 'value');
+      if (p == null || p === block || String(p) === String(block) || sol === block) {
+        cells.push({ type: 'block' });
+      } else if (typeof sol !== 'string' || !sol.length) {
+        errors.push(`solution[${r}][${c}]: expected a letter`);
+        cells.push({ type: 'block' });
+      } else {
+        const label = p !== empty && String(p) !== String(empty) ? String(p) : null;
+        cells.push({ type: 'letter', answer: sol.toUpperCase(), label, ...ipuzCellStyle(raw?.style) });
+      }
+    }
+  }
+  if (errors.length) throw new PuzzleSchemaError(errors);
+
+  // Where each label starts; fill in standard numbering if the file has none
+  const starts = new Map();
+  cells.forEach((cell, i) => { if (cell.label) starts.set(cell.label, i); });
+  if (starts.size === 0) {
+    for (const { index, number } of numberGrid({ size, cells })) {
+      cells[index].label = String(number);
+      starts.set(String(number), index);
+    }
+  }
+
+  const clues = [];
+  for (const [key, list] of Object.entries(doc.clues)) {
+    const direction = DIRECTIONS.find((d) => key.split(':')[0] === d);
+    if (!direction || !Array.isArray(list)) continue;
+    list.forEach((entry, i) => {
+      const { label, text } = readClue(entry);
+      const start = starts.get(label);
+      if (start == null) return errors.push(`clues.${key}[${i}]: no cell numbered ${JSON.stringify(label)}`);
+      const clue = { direction, label, text: plainText(text).trim(), cells: wordCells(cells, size, start, direction) };
+      const runs = formattedRuns(text.trim());
+      if (runs) clue.runs = runs;
+      clues.push(clue);
+    });
+  }
+  if (!clues.length) errors.push('clues: no Across or Down clues');
+  if (errors.length) throw new PuzzleSchemaError(errors);
+
+  clues.forEach((clue) => {
+    const refs = resolveReferences(clue, crossReferences(clue.text), clues);
+    if (refs.length) clue.refs = refs;
+  });
+
+  const puzzle = {
+    schemaVersion: SCHEMA_VERSION,
+    id: null,
+    puzzleType: null,
+    date: null,
+    size,
+    cells,
+    clues,
+    meta: {
+      id: null,
+      title: String(doc.title || ''),
+      constructors: doc.author ? [String(doc.author)] : [],
+      editor: String(doc.editor || ''),
+      copyright: String(doc.copyright || ''),
+      publicationDate: null,
+    },
+  };
+  puzzle.id = importedId(puzzle);
+  return puzzle;
+}
+
+module.exports = { toIpuz, fromIpuz };
@@ -0,0 +1,91 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+// Structured logging: one JSON object per line on stdout (errors on stderr)
+// { time, level, msg, reqId?, ...fields }
+// Lines written while handling a request carry its reqId automatically.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Per-request context: { id, cache } where cache is 'hit' or 'miss' once a puzzle was looked up
+const requestContext = new AsyncLocalStorage();
+
+// Errors don't serialize to JSON on their own
+function serializable(fields) {
+  const out = {};
+  for (const [k, v] of Object.entries(fields)) {
+    out[k] = v instanceof Error ? { name: v.name, message: v.message, code: v.code, stack: v.stack } : v;
+  }
+  return out;
+}
+
+function createLogger({ level = 'info', out = process.stdout, err = process.stderr } = {}) {
+  const min = LEVELS[level] ?? LEVELS.info;
+
+  function write(lvl, msg, fields = {}) {
+    if (LEVELS[lvl] < min) return;
+    const reqId = requestContext.getStore()?.id;
+    const line = JSON.stringify({
+      time: new Date().toISOString(),
+      level: lvl,
+      msg,
+      ...(reqId ? { reqId } : {}),
+      ...serializable(fields),
+    });
+    (LEVELS[lvl] >= LEVELS.error ? err : out).write(`${line}\n`);
+  }
+
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+  };
+}
+
+const log = createLogger({ level: process.env.LOG_LEVEL || 'info' });
+
+// Accept a caller's X-Request-Id if it looks sane, else make one up
+const REQUEST_ID_RE = /^[\w.:-]{1,128}$/;
+
+// Express middleware: assigns req.id (echoed as X-Request-Id), runs the rest of the
+// request inside requestContext, and logs one line per request when it finishes
+// onFinish(req, res, durationMs), if given, is called alongside the log line (metrics)
+function requestLogger({ onFinish } = {}) {
+  return (req, res, next) => {
+    const header = req.get('x-request-id');
+    const id = header && REQUEST_ID_RE.test(header) ? header : crypto.randomUUID();
+    const store = { id, cache: null };
+    const started = process.hrtime.bigint();
+    req.id = id;
+    res.set('X-Request-Id', id);
+
+    res.on('finish', () => {
+      const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+      onFinish?.(req, res, durationMs);
+      requestContext.run(store, () => {
+        log.info('request', {
+          method: req.method,
+          path: req.originalUrl,
+          route: routeOf(req),
+          status: res.statusCode,
+          durationMs: Math.round(durationMs * 10) / 10,
+          ...(store.cache ? { cache: store.cache } : {}),
+        });
+      });
+    });
+
+    requestContext.run(store, next);
+  };
+}
+
+// Route pattern that handled a request, e.g. /puzzle/v1/mini/:date.json
+// Keeps metric labels bounded: unmatched requests (static files) are "other",
+// the SPA catch-all is "spa"
+function routeOf(req) {
+  if (!req.route) return 'other';
+  if (typeof req.route.path !== 'string') return 'spa';
+  return `${req.baseUrl || ''}${req.route.path}`;
+}
+
+module.exports = { log, createLogger, requestContext, requestLogger, routeOf };
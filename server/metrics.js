@@ -0,0 +1,86 @@
+// Minimal Prometheus metrics registry (text exposition format 0.0.4)
+// Only what the server needs: counters, histograms and gauges read at scrape time.
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelString(names, values) {
+  if (!names.length) return '';
+  return `{${names.map((n, i) => `${n}="${escapeLabel(values[i])}"`).join(',')}}`;
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  // Values keyed by their label values, in labelNames order
+  function series(labelNames) {
+    const map = new Map();
+    return {
+      get(labels = {}, init) {
+        const values = labelNames.map((n) => labels[n] ?? '');
+        const key = JSON.stringify(values);
+        if (!map.has(key)) map.set(key, { values, data: init() });
+        return map.get(key).data;
+      },
+      entries: () => [...map.values()],
+    };
+  }
+
+  function counter(name, help, labelNames = []) {
+    const s = series(labelNames);
+    metrics.push({
+      render: () => [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} counter`,
+        ...s.entries().map(({ values, data }) => `${name}${labelString(labelNames, values)} ${data.value}`),
+      ],
+    });
+    return {
+      inc(labels, n = 1) {
+        s.get(labels, () => ({ value: 0 })).value += n;
+      },
+    };
+  }
+
+  // buckets are upper bounds, ascending; +Inf is added automatically
+  function histogram(name, help, labelNames = [], buckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]) {
+    const s = series(labelNames);
+    const init = () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 });
+    metrics.push({
+      render: () => [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} histogram`,
+        ...s.entries().flatMap(({ values, data }) => [
+          ...buckets.map((b, i) => `${name}_bucket${labelString([...labelNames, 'le'], [...values, b])} ${data.counts[i]}`),
+          `${name}_bucket${labelString([...labelNames, 'le'], [...values, '+Inf'])} ${data.count}`,
+          `${name}_sum${labelString(labelNames, values)} ${data.sum}`,
+          `${name}_count${labelString(labelNames, values)} ${data.count}`,
+        ]),
+      ],
+    });
+    return {
+      observe(labels, value) {
+        const data = s.get(labels, init);
+        buckets.forEach((b, i) => { if (value <= b) data.counts[i]++; });
+        data.sum += value;
+        data.count++;
+      },
+    };
+  }
+
+  // Value read from collect() at scrape time; type is 'gauge' or 'counter'
+  function collected(name, help, collect, type = 'gauge') {
+    metrics.push({
+      render: () => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, `${name} ${collect()}`],
+    });
+  }
+
+  function render() {
+    return `${metrics.flatMap((m) => m.render()).join('\n')}\n`;
+  }
+
+  return { counter, histogram, collected, render, contentType: 'text/plain; version=0.0.4; charset=utf-8' };
+}
+
+module.exports = { createRegistry };
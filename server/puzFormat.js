@@ -0,0 +1,156 @@
+// Across Lite .puz export
+// Converts a normalized puzzle (see puzzleSchema.js, answers required) into the
+// binary .puz format, version 1.3 with ISO-8859-1 strings.
+// Format reference: https://code.google.com/archive/p/puz/wikis/FileFormat.wiki
+
+const MAGIC = 'ACROSS&DOWN\0';
+const VERSION = '1.3\0';
+const HEADER_SIZE = 0x34;
+
+// Running checksum used throughout the format
+function cksumRegion(buf, cksum = 0) {
+  for (const byte of buf) {
+    cksum = cksum & 1 ? (cksum >> 1) + 0x8000 : cksum >> 1;
+    cksum = (cksum + byte) & 0xffff;
+  }
+  return cksum;
+}
+
+// Encode a string as ISO-8859-1, replacing what it can't represent
+function latin1(s) {
+  const plain = String(s ?? '')
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/…/g, '...');
+  const representable = [...plain].map((ch) => (ch.charCodeAt(0) > 0xff ? '?' : ch)).join('');
+  return Buffer.from(representable, 'latin1');
+}
+
+// Standard crossword numbering: which cells start an across/down entry, in reading order
+// Returns [{ index, number, across, down }]
+function numberGrid(puzzle) {
+  const { rows, cols } = puzzle.size;
+  const open = (r, c) => r >= 0 && c >= 0 && r < rows && c < cols && puzzle.cells[r * cols + c].type !== 'block';
+  const starts = [];
+  let number = 0;
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      if (!open(r, c)) continue;
+      const across = !open(r, c - 1) && open(r, c + 1);
+      const down = !open(r - 1, c) && open(r + 1, c);
+      if (across || down) starts.push({ index: r * cols + c, number: ++number, across, down });
+    }
+  }
+  return starts;
+}
+
+// Clue texts in .puz order: by number, across before down
+// Each numbered slot is matched to the puzzle's clue starting at the same cell
+function orderedClues(puzzle) {
+  const byStart = new Map(puzzle.clues.map((cl) => [`${cl.direction}:${cl.cells[0]}`, cl.text]));
+  const out = [];
+  for (const { index, across, down } of numberGrid(puzzle)) {
+    if (across) out.push(byStart.get(`Across:${index}`) ?? '');
+    if (down) out.push(byStart.get(`Down:${index}`) ?? '');
+  }
+  return out;
+}
+
+// Rebus squares as the GRBS and RTBL extra sections, or [] without any
+// GRBS has a byte per cell, 0 or 1 + the rebus key; RTBL lists the keys, " 0:HEART;"
+function rebusSections(puzzle) {
+  const keys = new Map();
+  const grbs = Buffer.from(puzzle.cells.map((c) => {
+    if (c.type === 'block' || !c.answer || c.answer.length < 2) return 0;
+    if (!keys.has(c.answer)) keys.set(c.answer, keys.size);
+    return keys.get(c.answer) + 1;
+  }));
+  if (!keys.size) return [];
+  const rtbl = latin1([...keys].map(([answer, key]) => `${String(key).padStart(2, ' ')}:${answer};`).join(''));
+  return [extraSection('GRBS', grbs), extraSection('RTBL', rtbl)];
+}
+
+// Extra section: 4-byte title, data length, data checksum, data and a NUL
+function extraSection(title, data) {
+  const head = Buffer.alloc(8);
+  head.write(title, 0, 'latin1');
+  head.writeUInt16LE(data.length, 4);
+  head.writeUInt16LE(cksumRegion(data), 6);
+  return Buffer.concat([head, data, Buffer.from([0])]);
+}
+
+// Checksum over the title/author/copyright/clue/notes strings
+function textCksum(title, author, copyright, clues, notes, cksum) {
+  if (title.length) cksum = cksumRegion(Buffer.concat([title, Buffer.from([0])]), cksum);
+  if (author.length) cksum = cksumRegion(Buffer.concat([author, Buffer.from([0])]), cksum);
+  if (copyright.length) cksum = cksumRegion(Buffer.concat([copyright, Buffer.from([0])]), cksum);
+  for (const clue of clues) cksum = cksumRegion(clue, cksum);
+  if (notes.length) cksum = cksumRegion(Buffer.concat([notes, Buffer.from([0])]), cksum);
+  return cksum;
+}
+
+// Build the .puz file for a normalized puzzle
+// meta: { title, author, copyright, notes } strings to write into the file
+function toPuz(puzzle, { title = '', author = '', copyright = '', notes = '' } = {}) {
+  const { rows, cols } = puzzle.size;
+  if (rows > 255 || cols > 255) throw new Error('Grid too large for .puz');
+
+  // Multi-letter (rebus) answers keep their first letter here; the full answers go
+  // in the rebus sections at the end
+  const solution = Buffer.from(
+    puzzle.cells.map((c) => (c.type === 'block' ? '.' : (c.answer || 'X')[0])).join(''),
+    'latin1'
+  );
+  const fill = Buffer.from(puzzle.cells.map((c) => (c.type === 'block' ? '.' : '-')).join(''), 'latin1');
+
+  const strings = {
+    title: latin1(title),
+    author: latin1(author),
+    copyright: latin1(copyright),
+    notes: latin1(notes),
+  };
+  const clues = orderedClues(puzzle).map(latin1);
+
+  const header = Buffer.alloc(HEADER_SIZE);
+  header.write(MAGIC, 0x02, 'latin1');
+  header.write(VERSION, 0x18, 'latin1');
+  header.writeUInt8(cols, 0x2c);
+  header.writeUInt8(rows, 0x2d);
+  header.writeUInt16LE(clues.length, 0x2e);
+  header.writeUInt16LE(0x0001, 0x30); // puzzle type: normal
+  header.writeUInt16LE(0x0000, 0x32); // not scrambled
+
+  const cib = cksumRegion(header.subarray(0x2c, 0x34));
+  const solCksum = cksumRegion(solution);
+  const fillCksum = cksumRegion(fill);
+  const partCksum = textCksum(strings.title, strings.author, strings.copyright, clues, strings.notes, 0);
+
+  let overall = cksumRegion(solution, cib);
+  overall = cksumRegion(fill, overall);
+  overall = textCksum(strings.title, strings.author, strings.copyright, clues, strings.notes, overall);
+
+  header.writeUInt16LE(overall, 0x00);
+  header.writeUInt16LE(cib, 0x0e);
+  const sums = [cib, solCksum, fillCksum, partCksum];
+  const mask = Buffer.from('ICHEATED', 'latin1');
+  sums.forEach((sum, i) => {
+    header.writeUInt8(mask[i] ^ (sum & 0xff), 0x10 + i);
+    header.writeUInt8(mask[i + 4] ^ (sum >> 8), 0x14 + i);
+  });
+
+  const nul = Buffer.from([0]);
+  return Buffer.concat([
+    header,
+    solution,
+    fill,
+    strings.title, nul,
+    strings.author, nul,
+    strings.copyright, nul,
+    ...clues.flatMap((clue) => [clue, nul]),
+    strings.notes, nul,
+    ...rebusSections(puzzle),
+  ]);
+}
+
+module.exports = { toPuz, numberGrid, cksumRegion };
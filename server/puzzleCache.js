@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./logger');
+
+const INDEX_FILE = 'index.json';
+const KEY_RE = /^[\w.-]+$/;
+
+// Disk-backed puzzle cache
+// Each entry is stored as <dir>/<key>.json holding the raw upstream body,
+// alongside an index.json that records size and timestamps per key.
+// Entries never expire on their own; callers pass a maxAge to get() for keys
+// that may still change (today's puzzle). Total size is capped by evicting the
+// least recently used entries.
+function createPuzzleCache({ dir, maxBytes = 50 * 1024 * 1024, flushDelay = 1000 } = {}) {
+  // key -> { bytes, fetchedAt, lastAccess, hits }, kept in LRU order (oldest first)
+  const entries = new Map();
+  let totalBytes = 0;
+  let flushTimer = null;
+  // lookups since startup
+  let hits = 0;
+  let misses = 0;
+
+  fs.mkdirSync(dir, { recursive: true });
+  loadIndex();
+
+  function fileFor(key) {
+    if (!KEY_RE.test(key)) throw new Error(`Invalid cache key: ${key}`);
+    return path.join(dir, `${key}.json`);
+  }
+
+  // Read index.json, falling back to scanning the directory if it is missing or corrupt
+  function loadIndex() {
+    let index = null;
+    try {
+      index = JSON.parse(fs.readFileSync(path.join(dir, INDEX_FILE), 'utf8'));
+    } catch {
+      index = null;
+    }
+
+    const rows = [];
+    for (const name of fs.readdirSync(dir)) {
+      if (name === INDEX_FILE || !name.endsWith('.json')) continue;
+      const key = name.slice(0, -'.json'.length);
+      if (!KEY_RE.test(key)) continue;
+      const st = fs.statSync(path.join(dir, name));
+      const meta = index?.[key];
+      rows.push({
+        key,
+        bytes: st.size,
+        fetchedAt: Number.isFinite(meta?.fetchedAt) ? meta.fetchedAt : st.mtimeMs,
+        lastAccess: Number.isFinite(meta?.lastAccess) ? meta.lastAccess : st.mtimeMs,
+        hits: Number.isFinite(meta?.hits) ? meta.hits : 0,
+      });
+    }
+
+    rows.sort((a, b) => a.lastAccess - b.lastAccess);
+    for (const { key, ...meta } of rows) {
+      entries.set(key, meta);
+      totalBytes += meta.bytes;
+    }
+  }
+
+  function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      flush().catch((err) => log.error('failed to write cache index', { err }));
+    }, flushDelay);
+    flushTimer.unref?.();
+  }
+
+  // Write the index to disk now (atomically, via a temp file)
+  async function flush() {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    const index = Object.fromEntries(entries);
+    const tmp = path.join(dir, `${INDEX_FILE}.tmp`);
+    await fs.promises.writeFile(tmp, JSON.stringify(index));
+    await fs.promises.rename(tmp, path.join(dir, INDEX_FILE));
+  }
+
+  function touch(key, meta) {
+    entries.delete(key);
+    entries.set(key, { ...meta, lastAccess: Date.now(), hits: meta.hits + 1 });
+    scheduleFlush();
+  }
+
+  // Remove least recently used entries until we're under maxBytes
+  // The entry named by `keep` (the one just written) is never evicted
+  async function evict(keep) {
+    for (const [key, meta] of entries) {
+      if (totalBytes <= maxBytes) break;
+      if (key === keep) continue;
+      entries.delete(key);
+      totalBytes -= meta.bytes;
+      await fs.promises.rm(fileFor(key), { force: true });
+    }
+  }
+
+  // Return the cached body for key, or null if missing or older than maxAge (ms)
+  async function get(key, { maxAge = Infinity } = {}) {
+    const meta = entries.get(key);
+    if (!meta || Date.now() - meta.fetchedAt > maxAge) {
+      misses++;
+      return null;
+    }
+    try {
+      const body = await fs.promises.readFile(fileFor(key), 'utf8');
+      touch(key, meta);
+      hits++;
+      return body;
+    } catch {
+      // file vanished underneath us; forget the entry
+      misses++;
+      entries.delete(key);
+      totalBytes -= meta.bytes;
+      scheduleFlush();
+      return null;
+    }
+  }
+
+  // Like get(), but doesn't count as an access: no LRU bump and no hit/miss stats
+  // For background readers such as the archive index
+  async function peek(key) {
+    if (!entries.has(key)) return null;
+    try {
+      return await fs.promises.readFile(fileFor(key), 'utf8');
+    } catch {
+      return null;
+    }
+  }
+
+  async function set(key, body) {
+    const file = fileFor(key);
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.promises.writeFile(tmp, body);
+    await fs.promises.rename(tmp, file);
+
+    const prev = entries.get(key);
+    if (prev) totalBytes -= prev.bytes;
+    const bytes = Buffer.byteLength(body);
+    const now = Date.now();
+    entries.delete(key);
+    entries.set(key, { bytes, fetchedAt: now, lastAccess: now, hits: 0 });
+    totalBytes += bytes;
+
+    await evict(key);
+    scheduleFlush();
+  }
+
+  function has(key) {
+    return entries.has(key);
+  }
+
+  async function remove(key) {
+    const meta = entries.get(key);
+    if (!meta) return false;
+    entries.delete(key);
+    totalBytes -= meta.bytes;
+    await fs.promises.rm(fileFor(key), { force: true });
+    scheduleFlush();
+    return true;
+  }
+
+  async function clear() {
+    const keys = [...entries.keys()];
+    entries.clear();
+    totalBytes = 0;
+    await Promise.all(keys.map((k) => fs.promises.rm(fileFor(k), { force: true })));
+    await flush();
+  }
+
+  // Summary of the cache, with per-key details sorted by key
+  function stats() {
+    const now = Date.now();
+    const lookups = hits + misses;
+    return {
+      entries: entries.size,
+      bytes: totalBytes,
+      maxBytes,
+      hits,
+      misses,
+      hitRatio: lookups ? hits / lookups : null,
+      items: [...entries]
+        .map(([key, meta]) => ({
+          key,
+          bytes: meta.bytes,
+          ageMs: now - meta.fetchedAt,
+          lastAccessMs: now - meta.lastAccess,
+          hits: meta.hits,
+        }))
+        .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0)),
+    };
+  }
+
+  return {
+    get,
+    peek,
+    set,
+    has,
+    delete: remove,
+    clear,
+    flush,
+    stats,
+    get size() { return entries.size; },
+    get bytes() { return totalBytes; },
+    get maxBytes() { return maxBytes; },
+    get hits() { return hits; },
+    get misses() { return misses; },
+  };
+}
+
+module.exports = { createPuzzleCache };
@@ -0,0 +1,223 @@
+// Validation and normalization of upstream NYT v6 puzzle JSON
+//
+// The normalized format (schemaVersion 1) is what the /puzzle/v1/ routes serve:
+//
+// {
+//   schemaVersion: 1,
+//   id: 'yyyy-mm-dd' | 'daily-yyyy-mm-dd' | 'ipuz-…',
+//                                  // identity used for saved progress (see puzzleKey in
+//                                  // shared/puzzleTypes.mjs), or a hash for imports
+//   puzzleType: 'mini' | 'midi' | 'daily' | 'bonus' | null,  // null for imported puzzles
+//   date: 'yyyy-mm-dd' | null,     // null for imported puzzles
+//   size: { rows, cols },
+//   cells: [                       // row-major, rows * cols entries
+//     { type: 'block' } |
+//     { type: 'letter', answer: 'A', label: '1' | null, alternates?: ['1'],
+//       circled?: true, shaded?: true, bars?: ['top' | 'right' | 'bottom' | 'left'] }
+//                                  // answer may be several characters (rebus);
+//                                  // alternates are other accepted entries, if any;
+//                                  // the rest is theme styling, only present when set
+//   ],
+//   clues: [
+//     { direction: 'Across' | 'Down', label: '1', text: '...', cells: [0, 1, 2],
+//       runs?: [{ text, italic?, bold?, sub?, sup? }],  // formatted text, if any
+//       refs?: [{ direction, label }] }                 // cross-referenced clues
+//   ],
+//   meta: { id, title, constructors: [], editor, copyright, publicationDate }
+// }
+
+const { puzzleKey, sizeFitsType, PUZZLE_TYPES } = require('../shared/puzzleTypes.mjs');
+const { formattedRuns, crossReferences, resolveReferences, readBars } = require('./formatting');
+
+const SCHEMA_VERSION = 1;
+const DIRECTIONS = ['Across', 'Down'];
+// NYT cell types besides 1 (plain): themed squares
+const CELL_TYPE_CIRCLED = 2;
+const CELL_TYPE_SHADED = 3;
+
+class PuzzleSchemaError extends Error {
+  constructor(errors) {
+    super(`Malformed puzzle payload: ${errors[0]}${errors.length > 1 ? ` (+${errors.length - 1} more)` : ''}`);
+    this.name = 'PuzzleSchemaError';
+    this.code = 'malformed';
+    this.errors = errors;
+  }
+}
+
+function isObject(v) {
+  return v != null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function isPositiveInt(v) {
+  return Number.isInteger(v) && v > 0;
+}
+
+// A cell is playable if it's type 1 (normal) or has an answer string
+// Other cells ({} or type 0) are blocks
+function isPlayableCell(c) {
+  return isObject(c) && (c.type === 1 || typeof c.answer === 'string');
+}
+
+// Other accepted entries for a cell (NYT moreAnswers.valid), upper-cased, without the answer
+function readAlternates(c, answer) {
+  const valid = Array.isArray(c.moreAnswers?.valid) ? c.moreAnswers.valid : [];
+  const alternates = valid.filter((v) => typeof v === 'string' && v.trim()).map((v) => v.trim().toUpperCase());
+  return [...new Set(alternates)].filter((v) => v !== answer);
+}
+
+// Styling from the payload's overlays, by cell index: Map<index, { circled?, shaded?, bars? }>
+// overlays: [{ type: 'circle' | 'shade' | 'bar', cells: [index], sides?: 'TRBL' | ['top', …] }]
+// Entries of other types or without cells are skipped
+function readOverlays(p) {
+  const styles = new Map();
+  for (const o of Array.isArray(p.overlays) ? p.overlays : []) {
+    if (!isObject(o) || !Array.isArray(o.cells)) continue;
+    for (const i of o.cells.filter(Number.isInteger)) {
+      const style = styles.get(i) || {};
+      if (o.type === 'circle') style.circled = true;
+      else if (o.type === 'shade') style.shaded = true;
+      else if (o.type === 'bar') style.bars = readBars([...(style.bars || []), ...readBars(o.sides)]);
+      styles.set(i, style);
+    }
+  }
+  return styles;
+}
+
+// Work out { rows, cols } from whatever the payload offers
+// Prefers dimensions or size; else infers a square from the cell count
+function readSize(puzzle) {
+  const dims = isObject(puzzle.dimensions) ? puzzle.dimensions : isObject(puzzle.size) ? puzzle.size : {};
+  const cols = dims.width ?? dims.cols ?? Math.floor(Math.sqrt(puzzle.cells.length));
+  const rows = dims.height ?? dims.rows ?? (cols > 0 ? Math.ceil(puzzle.cells.length / cols) : 0);
+  return { rows, cols };
+}
+
+// Validate the upstream document, returning a list of human-readable errors (empty if valid)
+function validateNyt(doc) {
+  const errors = [];
+  if (!isObject(doc)) return ['document: expected an object'];
+  if (!Array.isArray(doc.body) || !isObject(doc.body[0])) return ['body: expected a non-empty array of puzzles'];
+
+  const p = doc.body[0];
+  if (!Array.isArray(p.cells) || p.cells.length === 0) errors.push('body[0].cells: expected a non-empty array');
+  if (!Array.isArray(p.clues) || p.clues.length === 0) errors.push('body[0].clues: expected a non-empty array');
+  if (errors.length) return errors;
+
+  const { rows, cols } = readSize(p);
+  if (!isPositiveInt(rows) || !isPositiveInt(cols)) {
+    errors.push(`body[0].dimensions: could not determine grid size (got ${rows}x${cols})`);
+  } else if (rows * cols !== p.cells.length) {
+    errors.push(`body[0].cells: expected ${rows * cols} cells for a ${rows}x${cols} grid, got ${p.cells.length}`);
+  }
+
+  p.cells.forEach((c, i) => {
+    if (c != null && !isObject(c)) errors.push(`body[0].cells[${i}]: expected an object`);
+    else if (isPlayableCell(c) && (typeof c.answer !== 'string' || c.answer.length === 0)) {
+      errors.push(`body[0].cells[${i}].answer: expected a non-empty string`);
+    }
+  });
+
+  p.clues.forEach((cl, i) => {
+    const at = `body[0].clues[${i}]`;
+    if (!isObject(cl)) return errors.push(`${at}: expected an object`);
+    if (!DIRECTIONS.includes(cl.direction)) errors.push(`${at}.direction: expected Across or Down, got ${JSON.stringify(cl.direction)}`);
+    if (cl.label == null || cl.label === '') errors.push(`${at}.label: missing`);
+    if (!Array.isArray(cl.text) || typeof cl.text[0]?.plain !== 'string') errors.push(`${at}.text: expected [{ plain }]`);
+    if (!Array.isArray(cl.cells) || cl.cells.length === 0) {
+      errors.push(`${at}.cells: expected a non-empty array`);
+    } else {
+      cl.cells.forEach((idx, j) => {
+        if (!Number.isInteger(idx) || !isPlayableCell(p.cells[idx])) {
+          errors.push(`${at}.cells[${j}]: ${JSON.stringify(idx)} is not a playable cell`);
+        }
+      });
+    }
+  });
+
+  return errors;
+}
+
+// Turn an upstream NYT v6 document (string or parsed) into the normalized format
+// Throws PuzzleSchemaError if the payload doesn't validate, including a grid size
+// that doesn't fit the puzzle type
+function normalizeNyt(raw, { date, type = 'mini' } = {}) {
+  let doc = raw;
+  if (typeof raw === 'string') {
+    try {
+      doc = JSON.parse(raw);
+    } catch (err) {
+      throw new PuzzleSchemaError([`document: invalid JSON (${err.message})`]);
+    }
+  }
+
+  const errors = validateNyt(doc);
+  if (errors.length) throw new PuzzleSchemaError(errors);
+
+  const p = doc.body[0];
+  const size = readSize(p);
+  if (!sizeFitsType(type, size)) {
+    const { label, minSize, maxSize } = PUZZLE_TYPES[type];
+    throw new PuzzleSchemaError([`size: ${size.rows}x${size.cols} is outside ${minSize}-${maxSize} for a ${label} puzzle`]);
+  }
+
+  const overlays = readOverlays(p);
+  const cells = p.cells.map((c, i) => {
+    if (!isPlayableCell(c)) return { type: 'block' };
+    const answer = c.answer.toUpperCase();
+    const cell = { type: 'letter', answer, label: c.label != null ? String(c.label) : null };
+    const alternates = readAlternates(c, answer);
+    if (alternates.length) cell.alternates = alternates;
+    const overlay = overlays.get(i) || {};
+    if (c.type === CELL_TYPE_CIRCLED || overlay.circled) cell.circled = true;
+    if (c.type === CELL_TYPE_SHADED || overlay.shaded) cell.shaded = true;
+    const bars = readBars([...readBars(c.bars), ...(overlay.bars || [])]);
+    if (bars.length) cell.bars = bars;
+    return cell;
+  });
+
+  const clues = p.clues.map((cl) => {
+    const clue = {
+      direction: cl.direction,
+      label: String(cl.label),
+      text: cl.text[0].plain.trim(),
+      cells: cl.cells,
+    };
+    const runs = formattedRuns(cl.text[0].formatted);
+    if (runs) clue.runs = runs;
+    return clue;
+  });
+
+  // Cross-references: the payload's relatives (clue indices) plus any mentioned in the text
+  clues.forEach((clue, i) => {
+    const relatives = Array.isArray(p.clues[i].relatives) ? p.clues[i].relatives : [];
+    const listed = relatives.map((j) => clues[j]).filter(Boolean).map(({ direction, label }) => ({ direction, label }));
+    const refs = resolveReferences(clue, [...listed, ...crossReferences(clue.text)], clues);
+    if (refs.length) clue.refs = refs;
+  });
+
+  // Clue start cells always carry the clue's label
+  clues.forEach((cl) => {
+    cells[cl.cells[0]].label = cl.label;
+  });
+
+  const puzzleDate = date || doc.publicationDate || null;
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    id: puzzleDate && puzzleKey(type, puzzleDate),
+    puzzleType: type,
+    date: puzzleDate,
+    size,
+    cells,
+    clues,
+    meta: {
+      id: doc.id ?? null,
+      title: doc.title || p.title || '',
+      constructors: Array.isArray(doc.constructors) ? doc.constructors : [],
+      editor: doc.editor || '',
+      copyright: doc.copyright || '',
+      publicationDate: doc.publicationDate || date || null,
+    },
+  };
+}
+
+module.exports = { SCHEMA_VERSION, PuzzleSchemaError, normalizeNyt, validateNyt };
@@ -0,0 +1,112 @@
+const { BadRequestError } = require('./errors');
+const { isValidDateStr, toDate, datesBetween } = require('./dates');
+const { PUZZLE_TYPES, latestDateFor } = require('../shared/puzzleTypes.mjs');
+
+// Filters for the random puzzle routes
+// Read from the query string (comma-separated lists) or a JSON body (arrays):
+//   dow      days of week, 0-6 or sun..sat
+//   year     years, e.g. 2019,2020
+//   from/to  date range (inclusive)
+//   size     grid sizes, e.g. 5 (5x5) or 6x7 (rows x cols)
+//   exclude  dates to skip, e.g. puzzles already solved
+//   seed     any string; the same seed and filters always pick the same puzzle
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+function toList(v) {
+  if (v == null || v === '') return [];
+  if (Array.isArray(v)) return v.flatMap(toList);
+  return String(v).split(',').map((s) => s.trim()).filter(Boolean);
+}
+
+function parseDow(v) {
+  const s = String(v).toLowerCase();
+  const n = /^\d$/.test(s) ? Number(s) : DAY_NAMES.indexOf(s.slice(0, 3));
+  if (!(n >= 0 && n <= 6)) throw new BadRequestError(`Bad day of week: ${v}`);
+  return n;
+}
+
+function parseYear(v) {
+  if (!/^\d{4}$/.test(String(v))) throw new BadRequestError(`Bad year: ${v}`);
+  return Number(v);
+}
+
+function parseSize(v) {
+  const m = /^(\d+)(?:x(\d+))?$/i.exec(String(v));
+  if (!m) throw new BadRequestError(`Bad grid size: ${v}, expected e.g. 5 or 5x6`);
+  return { rows: Number(m[1]), cols: Number(m[2] ?? m[1]) };
+}
+
+function parseDate(v, name) {
+  if (v == null || v === '') return null;
+  if (!isValidDateStr(v)) throw new BadRequestError(`Bad ${name} date, expected yyyy-mm-dd`);
+  return v;
+}
+
+// Parse and validate filters from a query string or JSON body
+// Throws BadRequestError on anything malformed
+function parseRandomFilters(input = {}) {
+  const exclude = toList(input.exclude);
+  const badExclude = exclude.find((d) => !isValidDateStr(d));
+  if (badExclude) throw new BadRequestError(`Bad exclude date: ${badExclude}`);
+  return {
+    dow: toList(input.dow).map(parseDow),
+    years: toList(input.year).map(parseYear),
+    from: parseDate(input.from, 'from'),
+    to: parseDate(input.to, 'to'),
+    sizes: toList(input.size).map(parseSize),
+    exclude: new Set(exclude),
+    seed: input.seed != null && input.seed !== '' ? String(input.seed) : null,
+  };
+}
+
+// Dates satisfying every date-based filter, in order
+// `known`, if given, restricts candidates to dates the source actually has
+// `type` is a puzzle type (see shared/puzzleTypes.mjs); monthly types only have the 1st
+function candidateDates(filters, { known = null, type = 'mini' } = {}) {
+  const { firstDate, monthly } = PUZZLE_TYPES[type];
+  const start = filters.from && filters.from > firstDate ? filters.from : firstDate;
+  const today = latestDateFor(type);
+  const end = filters.to && filters.to < today ? filters.to : today;
+  const pool = known ? known.filter((d) => d >= start && d <= end) : start <= end ? datesBetween(start, end) : [];
+  return pool.filter((d) =>
+    !filters.exclude.has(d) &&
+    (!monthly || d.endsWith('-01')) &&
+    (!filters.dow.length || filters.dow.includes(toDate(d).getDay())) &&
+    (!filters.years.length || filters.years.includes(Number(d.slice(0, 4))))
+  );
+}
+
+// Whether a normalized puzzle's grid matches the size filter
+function matchesSize(filters, size) {
+  return !filters.sizes.length || filters.sizes.some((s) => s.rows === size.rows && s.cols === size.cols);
+}
+
+// Deterministic PRNG (mulberry32) seeded from a string hash, or Math.random without a seed
+function createRng(seed) {
+  if (seed == null) return Math.random;
+  let h = 1779033703 ^ seed.length;
+  for (let i = 0; i < seed.length; i++) {
+    h = Math.imul(h ^ seed.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  let a = h >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Fisher-Yates shuffle (copy) using the given rng
+function shuffle(list, rng) {
+  const out = [...list];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+module.exports = { parseRandomFilters, candidateDates, matchesSize, createRng, shuffle };
@@ -0,0 +1,545 @@
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+const { ApiError } = require('./errors');
+const { log } = require('./logger');
+const { normalizeEntry, isCorrectEntry, MAX_ENTRY_LENGTH } = require('../shared/entries.mjs');
+
+// Rooms: several people playing one puzzle over WebSockets, in one of two modes
+//   coop  everyone fills in one shared grid (entries and check statuses) with one
+//         timer, and sees the others' cursors
+//   race  everyone has their own grid; a countdown starts the race for all at once,
+//         the others only see which of your squares are filled, and checks and
+//         reveals add time penalties. The server decides finishing order and times.
+// Rooms live in memory, so they're lost on restart; a room nobody is connected to
+// is dropped after idleMs.
+//
+// Clients connect to /rooms/:id/socket and send JSON messages { t, ... }:
+//   hello   { clientId, name }      join, or rejoin after a reconnect (same clientId)
+//   input   { index, value }        set a cell ('' clears it)
+//   cursor  { index, direction }    move your cursor (co-op)
+//   check   { cells? }              check some cells, or every filled cell
+//   reveal  { cells }               fill in the answers for some cells
+//   clear   { mode }                'errors' keeps correct cells, 'all' resets the room (co-op)
+//   timer   { action }              'start', 'pause' or 'resume' (co-op)
+//   start   {}                      start the race countdown (race)
+//   name    { name }                rename yourself
+// The server answers hello with { t: 'state', room, you } and sends changes as they
+// happen: input, revealed, statuses, timer, cursor, presence, state (after clears)
+// and completed; in a race also progress (someone's filled squares), penalty (yours)
+// and race (countdown, start and results). A race finishes once every racer has
+// finished or left: offline for ABANDON_MS, or still unfinished raceLimitMs after the
+// start; those are listed last in the results as DNF (did not finish).
+// Problems come back as { t: 'error', code, error }.
+
+const COLORS = ['#2563eb', '#db2777', '#16a34a', '#d97706', '#7c3aed', '#0891b2', '#dc2626', '#65a30d'];
+const MAX_PARTICIPANTS = 16;
+const MAX_NAME_LENGTH = 24;
+const PING_INTERVAL_MS = 30 * 1000;
+const MODES = ['coop', 'race'];
+const COUNTDOWN_MS = 5 * 1000;
+const CHECK_PENALTY_MS = 10 * 1000; // per check
+const REVEAL_PENALTY_MS = 30 * 1000; // per revealed square
+const ABANDON_MS = 60 * 1000; // a racer offline this long has left the race
+
+// Close codes for the socket (4000-4999 are for applications)
+const CLOSE_STARTED = 4403; // newcomers can't join a race once it's under way
+const CLOSE_NOT_FOUND = 4404;
+const CLOSE_FULL = 4409;
+const CLOSE_GOING_AWAY = 1001;
+
+function createRooms({ idleMs = 2 * 60 * 60 * 1000, maxRooms = 500, raceLimitMs = 2 * 60 * 60 * 1000 } = {}) {
+  const rooms = new Map(); // id -> room
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 4096 });
+
+  function elapsedMs(room) {
+    const { timer } = room;
+    return timer.elapsedMs + (timer.runningSince != null ? Date.now() - timer.runningSince : 0);
+  }
+
+  function timerState(room) {
+    return { started: room.timer.started, running: room.timer.runningSince != null, elapsedMs: elapsedMs(room) };
+  }
+
+  function participantList(room) {
+    return [...room.participants.values()].map((p) => ({
+      clientId: p.clientId,
+      name: p.name,
+      color: p.color,
+      index: p.index,
+      direction: p.direction,
+      online: p.sockets.size > 0,
+    }));
+  }
+
+  // The grid a participant plays on: the room's in co-op, their own in a race
+  function boardOf(room, p) {
+    return room.mode === 'race' ? p.board : room;
+  }
+
+  function newBoard(puzzle) {
+    return {
+      entries: puzzle.cells.map(() => ''),
+      statuses: puzzle.cells.map(() => 'neutral'),
+      completed: false,
+      penaltyMs: 0,
+    };
+  }
+
+  // Filled squares of each racer, for the others' progress view (letters stay private)
+  function filledOf(board) {
+    return board.entries.flatMap((e, i) => (e ? [i] : []));
+  }
+
+  function raceState(room) {
+    const { race } = room;
+    return {
+      status: race.status,
+      startsAt: race.startsAt,
+      now: Date.now(), // so clients can allow for their clock being off
+      results: race.results,
+      progress: Object.fromEntries([...room.participants.values()].map((p) => [p.clientId, filledOf(p.board)])),
+    };
+  }
+
+  // What one participant sees of the room (p is null before they've said hello)
+  function snapshot(room, p = null) {
+    const board = p ? boardOf(room, p) : room.mode === 'race' ? newBoard(room.puzzle) : room;
+    return {
+      id: room.id,
+      mode: room.mode,
+      type: room.type,
+      date: room.date,
+      entries: board.entries,
+      statuses: board.statuses,
+      completed: board.completed,
+      ...(room.mode === 'race'
+        ? { race: raceState(room), penaltyMs: board.penaltyMs }
+        : { timer: timerState(room) }),
+      participants: participantList(room),
+    };
+  }
+
+  function send(ws, msg) {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(msg));
+  }
+
+  // Send to every socket of one participant (they may have several tabs open)
+  function sendTo(p, msg) {
+    for (const ws of p.sockets) send(ws, msg);
+  }
+
+  // Send a change to a board to whoever plays on it: the whole room in co-op,
+  // just the racer in a race
+  function sendBoard(room, p, msg) {
+    if (room.mode === 'race') sendTo(p, msg);
+    else broadcast(room, msg);
+  }
+
+  // Send to everyone in the room, except the given socket if any
+  function broadcast(room, msg, except = null) {
+    const data = JSON.stringify(msg);
+    for (const p of room.participants.values()) {
+      for (const ws of p.sockets) {
+        if (ws !== except && ws.readyState === ws.OPEN) ws.send(data);
+      }
+    }
+  }
+
+  function isLetterCell(room, index) {
+    return Number.isInteger(index) && room.puzzle.cells[index]?.type === 'letter';
+  }
+
+  function letterIndices(room) {
+    return room.puzzle.cells.flatMap((c, i) => (c.type === 'letter' ? [i] : []));
+  }
+
+  // Checked correct or revealed cells can't be changed
+  function isLocked(board, index) {
+    return board.statuses[index] === 'correct' || board.statuses[index] === 'revealed';
+  }
+
+  function stopTimer(room) {
+    room.timer.elapsedMs = elapsedMs(room);
+    room.timer.runningSince = null;
+  }
+
+  // Finish a board if every cell is right: all its cells turn correct, and then
+  // in co-op the timer stops, in a race p gets their place
+  function completeIfSolved(room, p) {
+    const board = boardOf(room, p);
+    const cells = letterIndices(room);
+    if (board.completed || !cells.every((i) => isCorrectEntry(room.puzzle.cells[i], board.entries[i]))) return;
+    board.completed = true;
+    const unrevealed = cells.filter((i) => board.statuses[i] !== 'revealed');
+    for (const i of unrevealed) board.statuses[i] = 'correct';
+    sendBoard(room, p, { t: 'statuses', statuses: Object.fromEntries(unrevealed.map((i) => [i, 'correct'])) });
+    if (room.mode === 'race') return finishRace(room, p);
+
+    stopTimer(room);
+    const seconds = Math.floor(room.timer.elapsedMs / 1000);
+    log.info('room solved', { room: room.id, seconds, participants: room.participants.size });
+    broadcast(room, { t: 'timer', timer: timerState(room) });
+    broadcast(room, { t: 'completed', seconds });
+  }
+
+  // Record p's result, unless the race was already settled without them (DNF)
+  function finishRace(room, p) {
+    const { race } = room;
+    if (race.status !== 'running') return;
+    const ms = Date.now() - race.startsAt + p.board.penaltyMs;
+    race.results.push({ clientId: p.clientId, name: p.name, place: race.results.length + 1, ms, penaltyMs: p.board.penaltyMs });
+    log.info('race finish', { room: room.id, place: race.results.length, ms });
+    sendTo(p, { t: 'completed', seconds: Math.floor(ms / 1000) });
+    if (!settleRace(room)) broadcast(room, { t: 'race', race: raceState(room) });
+  }
+
+  // A racer has left if they've been offline ABANDON_MS, or the race has gone on past
+  // raceLimitMs without them finishing
+  function hasLeft(room, p, now) {
+    if (!p) return true;
+    if (now - room.race.startsAt >= raceLimitMs) return true;
+    return p.sockets.size === 0 && p.offlineSince != null && now - p.offlineSince >= ABANDON_MS;
+  }
+
+  // Finish a running race once every entrant has finished or left; those who left
+  // are added to the results as DNF. Returns whether the race finished.
+  function settleRace(room, now = Date.now()) {
+    const { race } = room;
+    if (race.status !== 'running') return false;
+    const unfinished = race.entrants.map((id) => room.participants.get(id)).filter((p) => !p?.board.completed);
+    if (!unfinished.every((p) => hasLeft(room, p, now))) return false;
+    for (const p of unfinished.filter(Boolean)) {
+      race.results.push({ clientId: p.clientId, name: p.name, place: null, ms: null, penaltyMs: p.board.penaltyMs, dnf: true });
+    }
+    race.status = 'finished';
+    log.info('race finished', { room: room.id, finished: race.results.length - unfinished.length, dnf: unfinished.length });
+    broadcast(room, { t: 'race', race: raceState(room) });
+    return true;
+  }
+
+  function requireMode(room, mode) {
+    if (room.mode !== mode) throw new ApiError(400, 'bad_request', `Only available in ${mode === 'race' ? 'a race' : 'co-op'}`);
+  }
+
+  // In a race, grids can only change while it's running
+  function requireRacing(room) {
+    if (room.mode === 'race' && room.race.status !== 'running' && room.race.status !== 'finished') {
+      throw new ApiError(409, 'not_started', "The race hasn't started yet");
+    }
+  }
+
+  function addPenalty(room, p, ms) {
+    if (room.mode !== 'race' || !ms) return;
+    p.board.penaltyMs += ms;
+    sendTo(p, { t: 'penalty', penaltyMs: p.board.penaltyMs, added: ms });
+  }
+
+  // ---- message handlers; each gets (room, participant, msg, ws) and may throw ApiError
+
+  function onInput(room, p, { index, value }, ws) {
+    if (!isLetterCell(room, index)) throw new ApiError(400, 'bad_request', `Cell ${index} is not a playable cell`);
+    requireRacing(room);
+    const board = boardOf(room, p);
+    if (board.completed || isLocked(board, index)) return;
+    const entry = normalizeEntry(value);
+    if (entry.length > MAX_ENTRY_LENGTH) throw new ApiError(400, 'bad_request', 'Entry is too long');
+    const wasFilled = !!board.entries[index];
+    board.entries[index] = entry;
+    if (board.statuses[index] === 'wrong') board.statuses[index] = 'neutral';
+    if (room.mode === 'race') {
+      // the others only hear about it when a square goes from empty to filled or back
+      if (wasFilled !== !!entry) broadcast(room, { t: 'progress', clientId: p.clientId, filled: filledOf(board) }, ws);
+      for (const other of p.sockets) if (other !== ws) send(other, { t: 'input', index, value: entry, by: p.clientId });
+    } else {
+      broadcast(room, { t: 'input', index, value: entry, by: p.clientId }, ws);
+    }
+    completeIfSolved(room, p);
+  }
+
+  function onCursor(room, p, { index, direction }, ws) {
+    if (room.mode === 'race') return; // nobody sees racers' cursors
+    p.index = isLetterCell(room, index) ? index : null;
+    p.direction = direction === 'Down' ? 'Down' : 'Across';
+    broadcast(room, { t: 'cursor', clientId: p.clientId, index: p.index, direction: p.direction }, ws);
+  }
+
+  function requireCells(room, cells) {
+    if (!Array.isArray(cells) || !cells.every((i) => isLetterCell(room, i))) {
+      throw new ApiError(400, 'bad_request', 'Expected cells as an array of cell indices');
+    }
+  }
+
+  function onCheck(room, p, { cells }) {
+    requireRacing(room);
+    const board = boardOf(room, p);
+    if (board.completed) return;
+    if (cells != null) requireCells(room, cells);
+    const statuses = {};
+    for (const i of cells ?? letterIndices(room)) {
+      if (!board.entries[i] || board.statuses[i] === 'revealed') continue;
+      board.statuses[i] = isCorrectEntry(room.puzzle.cells[i], board.entries[i]) ? 'correct' : 'wrong';
+      statuses[i] = board.statuses[i];
+    }
+    sendBoard(room, p, { t: 'statuses', statuses });
+    addPenalty(room, p, CHECK_PENALTY_MS);
+    completeIfSolved(room, p);
+  }
+
+  function onReveal(room, p, { cells }) {
+    requireRacing(room);
+    requireCells(room, cells);
+    const board = boardOf(room, p);
+    if (board.completed) return;
+    const answers = {};
+    for (const i of cells) {
+      if (isLocked(board, i)) continue;
+      board.entries[i] = room.puzzle.cells[i].answer;
+      board.statuses[i] = 'revealed';
+      answers[i] = board.entries[i];
+    }
+    const count = Object.keys(answers).length;
+    sendBoard(room, p, { t: 'revealed', answers });
+    if (room.mode === 'race' && count) broadcast(room, { t: 'progress', clientId: p.clientId, filled: filledOf(board) });
+    addPenalty(room, p, count * REVEAL_PENALTY_MS);
+    completeIfSolved(room, p);
+  }
+
+  function onClear(room, _p, { mode }) {
+    requireMode(room, 'coop');
+    if (mode === 'all') {
+      room.entries.fill('');
+      room.statuses.fill('neutral');
+      room.timer = { started: false, elapsedMs: 0, runningSince: null };
+      room.completed = false;
+    } else if (mode === 'errors') {
+      if (room.completed) return;
+      for (const i of letterIndices(room)) {
+        if (!isCorrectEntry(room.puzzle.cells[i], room.entries[i])) {
+          room.entries[i] = '';
+          room.statuses[i] = 'neutral';
+        }
+      }
+    } else {
+      throw new ApiError(400, 'bad_request', 'Expected mode "errors" or "all"');
+    }
+    broadcast(room, { t: 'state', room: snapshot(room) });
+  }
+
+  function onTimer(room, _p, { action }) {
+    requireMode(room, 'coop');
+    const { timer } = room;
+    if (room.completed) return;
+    if (action === 'start' || action === 'resume') {
+      timer.started = true;
+      if (timer.runningSince == null) timer.runningSince = Date.now();
+    } else if (action === 'pause') {
+      if (timer.runningSince != null) stopTimer(room);
+    } else {
+      throw new ApiError(400, 'bad_request', 'Expected action "start", "pause" or "resume"');
+    }
+    broadcast(room, { t: 'timer', timer: timerState(room) });
+  }
+
+  // Anyone can start the race; it goes for everyone in the room after the countdown
+  function onStart(room) {
+    requireMode(room, 'race');
+    const { race } = room;
+    if (race.status !== 'waiting') return;
+    race.status = 'countdown';
+    race.startsAt = Date.now() + COUNTDOWN_MS;
+    race.entrants = [...room.participants.keys()];
+    race.timeout = setTimeout(() => {
+      race.status = 'running';
+      race.timeout = null;
+      log.info('race started', { room: room.id, racers: race.entrants.length });
+      broadcast(room, { t: 'race', race: raceState(room) });
+    }, COUNTDOWN_MS);
+    broadcast(room, { t: 'race', race: raceState(room) });
+  }
+
+  function onName(room, p, { name }) {
+    p.name = cleanName(name) || p.name;
+    broadcast(room, { t: 'presence', participants: participantList(room) });
+  }
+
+  const HANDLERS = {
+    input: onInput,
+    cursor: onCursor,
+    check: onCheck,
+    reveal: onReveal,
+    clear: onClear,
+    timer: onTimer,
+    start: onStart,
+    name: onName,
+  };
+
+  function cleanName(name) {
+    return String(name ?? '').replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH);
+  }
+
+  // First colour no current participant has, cycling once they're all taken
+  function nextColor(room) {
+    const used = new Set([...room.participants.values()].map((p) => p.color));
+    return COLORS.find((c) => !used.has(c)) ?? COLORS[room.participants.size % COLORS.length];
+  }
+
+  function join(room, ws, { clientId, name }) {
+    const id = typeof clientId === 'string' && /^[\w-]{6,64}$/.test(clientId) ? clientId : crypto.randomUUID();
+    let p = room.participants.get(id);
+    if (!p) {
+      if (room.participants.size >= MAX_PARTICIPANTS) {
+        ws.close(CLOSE_FULL, 'Room is full');
+        return null;
+      }
+      if (room.mode === 'race' && room.race.status !== 'waiting') {
+        ws.close(CLOSE_STARTED, 'Race already started');
+        return null;
+      }
+      p = {
+        clientId: id,
+        name: cleanName(name) || `Player ${room.participants.size + 1}`,
+        color: nextColor(room),
+        index: null,
+        direction: 'Across',
+        sockets: new Set(),
+        offlineSince: null, // when their last socket closed
+        board: room.mode === 'race' ? newBoard(room.puzzle) : null,
+      };
+      room.participants.set(id, p);
+    } else if (cleanName(name)) {
+      p.name = cleanName(name);
+    }
+    p.sockets.add(ws);
+    p.offlineSince = null;
+    send(ws, { t: 'state', room: snapshot(room, p), you: id });
+    broadcast(room, { t: 'presence', participants: participantList(room) }, ws);
+    return p;
+  }
+
+  function connect(room, ws) {
+    let participant = null;
+    ws.isAlive = true;
+    ws.on('pong', () => { ws.isAlive = true; });
+
+    ws.on('message', (data) => {
+      room.lastActive = Date.now();
+      let msg;
+      try {
+        msg = JSON.parse(data);
+      } catch {
+        return send(ws, { t: 'error', code: 'bad_request', error: 'Messages must be JSON' });
+      }
+      if (!participant) {
+        if (msg?.t === 'hello') participant = join(room, ws, msg);
+        else send(ws, { t: 'error', code: 'bad_request', error: 'Say hello first' });
+        return;
+      }
+      const handler = HANDLERS[msg?.t];
+      if (!handler) return send(ws, { t: 'error', code: 'bad_request', error: `Unknown message type: ${msg?.t}` });
+      try {
+        handler(room, participant, msg, ws);
+      } catch (err) {
+        if (!(err instanceof ApiError)) log.error('room message failed', { room: room.id, err });
+        send(ws, { t: 'error', code: err.code || 'internal', error: String(err?.message || err) });
+      }
+    });
+
+    ws.on('close', () => {
+      room.lastActive = Date.now();
+      if (!participant) return;
+      participant.sockets.delete(ws);
+      if (participant.sockets.size === 0) participant.offlineSince = Date.now();
+      broadcast(room, { t: 'presence', participants: participantList(room) });
+    });
+  }
+
+  // Create a room for a normalized puzzle (answers included; they never leave the server)
+  // mode is 'coop' or 'race'
+  function create(puzzle, { mode = 'coop' } = {}) {
+    if (!MODES.includes(mode)) throw new ApiError(400, 'bad_request', `Unknown room mode: ${mode}`);
+    if (rooms.size >= maxRooms) throw new ApiError(503, 'too_many_rooms', 'Too many open rooms, try again later');
+    const id = crypto.randomBytes(6).toString('base64url');
+    const room = {
+      id,
+      mode,
+      type: puzzle.puzzleType,
+      date: puzzle.date,
+      puzzle,
+      ...newBoard(puzzle), // co-op's shared grid; racers get their own
+      timer: { started: false, elapsedMs: 0, runningSince: null },
+      race: mode === 'race'
+        ? { status: 'waiting', startsAt: null, entrants: [], results: [], timeout: null }
+        : null,
+      participants: new Map(),
+      lastActive: Date.now(),
+    };
+    rooms.set(id, room);
+    log.info('room created', { room: id, mode, type: room.type, date: room.date });
+    return room;
+  }
+
+  function get(id) {
+    return rooms.get(id) || null;
+  }
+
+  // What the HTTP route tells about a room: the puzzle, and a race's status and results
+  function describe(room) {
+    const info = { id: room.id, mode: room.mode, type: room.type, date: room.date };
+    if (room.race) Object.assign(info, { status: room.race.status, results: room.race.results });
+    return info;
+  }
+
+  // Handle an HTTP upgrade for /rooms/:id/socket (with or without the /api prefix)
+  // Returns false if the URL isn't a room socket, so other upgrade handlers can have it
+  function handleUpgrade(req, socket, head) {
+    const m = /^(?:\/api)?\/rooms\/([\w-]+)\/socket(?:\?.*)?$/.exec(req.url);
+    if (!m) return false;
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      const room = rooms.get(m[1]);
+      if (!room) return ws.close(CLOSE_NOT_FOUND, 'Room not found');
+      connect(room, ws);
+    });
+    return true;
+  }
+
+  // Drop dead sockets (no pong since the last ping) and rooms left idle
+  const sweeper = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) ws.terminate();
+      else {
+        ws.isAlive = false;
+        ws.ping();
+      }
+    }
+    const now = Date.now();
+    for (const [id, room] of rooms) {
+      if (room.race) settleRace(room, now);
+      const online = [...room.participants.values()].some((p) => p.sockets.size > 0);
+      if (!online && now - room.lastActive > idleMs) {
+        clearTimeout(room.race?.timeout);
+        rooms.delete(id);
+        log.info('room closed', { room: id, reason: 'idle' });
+      }
+    }
+  }, PING_INTERVAL_MS);
+  sweeper.unref();
+
+  // Disconnect everyone (on shutdown); clients will try to reconnect
+  function close() {
+    clearInterval(sweeper);
+    for (const room of rooms.values()) clearTimeout(room.race?.timeout);
+    for (const ws of wss.clients) ws.close(CLOSE_GOING_AWAY, 'Server shutting down');
+  }
+
+  return {
+    create,
+    get,
+    describe,
+    handleUpgrade,
+    close,
+    get size() { return rooms.size; },
+    get connections() { return wss.clients.size; },
+  };
+}
+
+module.exports = { createRooms };
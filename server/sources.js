@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const { UpstreamError, fetchWithRetry } = require('./upstream');
+
+// Puzzle sources
+// A source is { name, cacheable, fetchPuzzle(type, date), fetchMini(date) } where
+// fetchPuzzle resolves to { status, body, type } with the raw NYT v6 JSON body, or
+// throws UpstreamError; fetchMini(date) is fetchPuzzle('mini', date).
+// Sources that know exactly which dates they hold may also offer listDates(type).
+// Puzzle types are the ones in shared/puzzleTypes.mjs, validated by the caller.
+
+const NYT_URL = 'https://www.nytimes.com/svc/crosswords/v6/puzzle/{type}/{date}.json';
+
+// Fetch puzzles over HTTP from a URL template containing {date} and optionally {type}
+// Without {type} the template only serves minis
+function createHttpSource({ name = 'url', url, headers = () => ({}), fetchOptions } = {}) {
+  if (!url || !url.includes('{date}')) {
+    throw new Error(`Puzzle source URL must contain {date}, got: ${url}`);
+  }
+  async function fetchPuzzle(type, date) {
+    if (type !== 'mini' && !url.includes('{type}')) {
+      throw new UpstreamError('not_found', `The ${name} source only serves mini puzzles`, { status: 404 });
+    }
+    return fetchWithRetry(url.replace('{type}', type).replace('{date}', date), { headers: headers(type, date) }, fetchOptions);
+  }
+  return {
+    name,
+    cacheable: true,
+    fetchPuzzle,
+    fetchMini: (date) => fetchPuzzle('mini', date),
+  };
+}
+
+// The real NYT endpoint, with the headers it requires
+function createNytSource({ fetchOptions } = {}) {
+  return createHttpSource({
+    name: 'nyt',
+    url: NYT_URL,
+    fetchOptions,
+    headers: (type, date) => ({
+      'X-Games-Auth-Bypass': 'true',
+      'Referer': `https://www.nytimes.com/crosswords/game/${type}/${date}`,
+      'User-Agent': 'Mozilla/5.0',
+      'Accept': '*/*',
+      'Content-Type': 'application/x-www-form-urlencoded',
+    }),
+  });
+}
+
+// Read puzzles from a local directory of <yyyy-mm-dd>.json files
+// Files hold the same JSON the NYT endpoint returns; used for fixtures and for
+// archives downloaded with archive.js. Minis live at the top level, other types
+// in a subdirectory named after the type (e.g. daily/2024-01-01.json)
+function createFixtureSource({ dir, name = 'fixtures' } = {}) {
+  if (!dir) throw new Error('Fixture puzzle source needs a directory');
+  const dirFor = (type) => (type === 'mini' ? dir : path.join(dir, type));
+
+  async function fetchPuzzle(type, date) {
+    try {
+      const body = await fs.promises.readFile(path.join(dirFor(type), `${date}.json`), 'utf8');
+      return { status: 200, body, type: 'application/json' };
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        throw new UpstreamError('not_found', `No ${type} puzzle for ${date} in ${name}`, { status: 404, cause: err });
+      }
+      throw new UpstreamError('upstream_error', `Failed to read ${name} ${type} puzzle for ${date}`, { cause: err });
+    }
+  }
+
+  return {
+    name,
+    cacheable: false, // already on local disk
+    fetchPuzzle,
+    fetchMini: (date) => fetchPuzzle('mini', date),
+    // Sorted list of the dates present in the directory for a type
+    // (a type without a subdirectory has none)
+    async listDates(type = 'mini') {
+      let names;
+      try {
+        names = await fs.promises.readdir(dirFor(type));
+      } catch (err) {
+        if (err.code === 'ENOENT' && type !== 'mini') return [];
+        throw err;
+      }
+      return names
+        .filter((n) => /^\d{4}-\d{2}-\d{2}\.json$/.test(n))
+        .map((n) => n.slice(0, 10))
+        .sort();
+    },
+  };
+}
+
+// Build the source named by config.source ('nyt', 'fixtures', 'archive' or 'url')
+function createPuzzleSource({ source = 'nyt', fixturesDir, archiveDir, url, fetchOptions } = {}) {
+  switch (source) {
+    case 'nyt':
+      return createNytSource({ fetchOptions });
+    case 'fixtures':
+      return createFixtureSource({ dir: fixturesDir });
+    case 'archive':
+      return createFixtureSource({ dir: archiveDir, name: 'archive' });
+    case 'url':
+      return createHttpSource({ url, fetchOptions });
+    default:
+      throw new Error(`Unknown puzzle source: ${source}`);
+  }
+}
+
+module.exports = { createPuzzleSource, createNytSource, createFixtureSource, createHttpSource };
@@ -0,0 +1,126 @@
+const { EventEmitter } = require('events');
+
+// Upstream fetch helpers: timeouts, retries with backoff, and request coalescing
+
+// Error codes surfaced to the client
+// timeout: upstream didn't answer within the timeout (after retries)
+// not_found: upstream has no puzzle for that date
+// blocked: upstream refused us (auth, rate limiting)
+// upstream_error: 5xx or network failure (after retries)
+const ERROR_STATUS = {
+  timeout: 504,
+  not_found: 404,
+  blocked: 502,
+  upstream_error: 502,
+};
+
+class UpstreamError extends Error {
+  constructor(code, message, { status = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'UpstreamError';
+    this.code = code;
+    this.status = status; // upstream HTTP status, if there was one
+  }
+
+  // HTTP status we should answer our own client with
+  get httpStatus() {
+    return ERROR_STATUS[this.code] || 502;
+  }
+}
+
+// Emits 'attempt' after every upstream request with
+// { url, attempt, durationMs, status, code }: status is the upstream HTTP status
+// (null if there was no response), code the UpstreamError code if it failed
+// Used by the server for logging and metrics
+const upstreamEvents = new EventEmitter();
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Map a non-2xx upstream status to an UpstreamError
+function errorForStatus(status) {
+  if (status === 404) return new UpstreamError('not_found', 'Puzzle not found upstream', { status });
+  if (status === 401 || status === 403 || status === 429) {
+    return new UpstreamError('blocked', `Upstream refused the request (HTTP ${status})`, { status });
+  }
+  return new UpstreamError('upstream_error', `Upstream returned HTTP ${status}`, { status });
+}
+
+// Retry 5xx responses, timeouts and network errors; everything else is final
+function isRetryable(err) {
+  if (!(err instanceof UpstreamError)) return true;
+  return err.code === 'timeout' || (err.code === 'upstream_error' && (err.status == null || err.status >= 500));
+}
+
+// Map a failed fetch or body read (abort, socket reset) to an UpstreamError
+function errorForFailure(err, timeoutMs) {
+  if (err?.name === 'TimeoutError' || err?.name === 'AbortError') {
+    return new UpstreamError('timeout', `Upstream timed out after ${timeoutMs}ms`, { cause: err });
+  }
+  return new UpstreamError('upstream_error', `Upstream request failed: ${err?.message || err}`, { cause: err });
+}
+
+// Fetch a URL once with a timeout
+// Returns { status, body, type } for 2xx responses and throws UpstreamError otherwise
+async function fetchOnce(url, init, timeoutMs) {
+  let r;
+  try {
+    r = await fetch(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+  } catch (err) {
+    throw errorForFailure(err, timeoutMs);
+  }
+  if (!r.ok) {
+    await r.body?.cancel();
+    throw errorForStatus(r.status);
+  }
+  let body;
+  try {
+    body = await r.text();
+  } catch (err) {
+    throw errorForFailure(err, timeoutMs);
+  }
+  const type = r.headers.get('content-type') || 'application/json';
+  return { status: r.status, body, type };
+}
+
+// Fetch with a per-attempt timeout and exponential backoff between retries
+async function fetchWithRetry(url, init = {}, { timeoutMs = 10000, retries = 2, backoffMs = 250 } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const started = process.hrtime.bigint();
+    const report = (status, code) => upstreamEvents.emit('attempt', {
+      url,
+      attempt,
+      durationMs: Number(process.hrtime.bigint() - started) / 1e6,
+      status,
+      code,
+    });
+    try {
+      const result = await fetchOnce(url, init, timeoutMs);
+      report(result.status, null);
+      return result;
+    } catch (err) {
+      report(err.status ?? null, err.code);
+      if (attempt >= retries || !isRetryable(err)) throw err;
+      await sleep(backoffMs * 2 ** attempt);
+    }
+  }
+}
+
+// Single-flight: concurrent calls with the same key share one in-flight promise
+// run.pending() lists the promises still in flight (e.g. to wait for them on shutdown)
+function createSingleFlight() {
+  const inflight = new Map();
+  function run(key, fn) {
+    if (inflight.has(key)) return inflight.get(key);
+    const p = Promise.resolve()
+      .then(fn)
+      .finally(() => inflight.delete(key));
+    inflight.set(key, p);
+    return p;
+  }
+  run.pending = () => [...inflight.values()];
+  return run;
+}
+
+module.exports = { UpstreamError, upstreamEvents, fetchWithRetry, createSingleFlight };
@@ -0,0 +1,106 @@
+// Date helpers shared by the server (via server/dates.js) and the browser app
+// All dates are yyyy-mm-dd strings naming a puzzle's publication date.
+//
+// The NYT publishes from New York: the puzzle for a date comes out the evening
+// before, at 10pm Eastern for Monday–Friday puzzles and 6pm for Saturday and
+// Sunday. So "today" depends on where you are; the newest puzzle is whatever has
+// been released as of now, wherever the server happens to run.
+
+export const FIRST_DATE = '2014-08-21'; // first NYT Mini
+export const PUBLICATION_TIME_ZONE = 'America/New_York';
+const RELEASE_HOUR_WEEKDAY = 22; // 10pm the evening before
+const RELEASE_HOUR_WEEKEND = 18; // 6pm the evening before, for Saturday and Sunday
+
+// Check for a well-formed yyyy-mm-dd string naming a real calendar day
+export function isValidDateStr(s) {
+  return typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s) && fmt(toDate(s)) === s;
+}
+
+// Parse a yyyy-mm-dd date string into a Date object (local midnight)
+export function toDate(s) {
+  const [y, m, d] = s.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+// Format a Date object as yyyy-mm-dd (local calendar date)
+export function fmt(dateObj) {
+  const y = dateObj.getFullYear();
+  const m = String(dateObj.getMonth() + 1).padStart(2, '0');
+  const d = String(dateObj.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+// Today's local calendar date as yyyy-mm-dd
+// In the browser that's the user's "today"; on the server use latestPuzzleDate()
+export function todayISO() {
+  return fmt(new Date());
+}
+
+// Return number of days between two date strings (a, b)
+export function daysBetween(a, b) {
+  const ms = 24 * 60 * 60 * 1000;
+  return Math.round((toDate(b) - toDate(a)) / ms);
+}
+
+// Return the date n days after a date string (n may be negative)
+export function addDays(s, n) {
+  const d = toDate(s);
+  d.setDate(d.getDate() + n);
+  return fmt(d);
+}
+
+// Return every date string from aISO to bISO (inclusive), in order
+export function datesBetween(aISO, bISO) {
+  const out = [];
+  for (let d = aISO; toDate(d) <= toDate(bISO); d = addDays(d, 1)) out.push(d);
+  return out;
+}
+
+// Wall-clock fields of an instant in a time zone
+function wallClock(timeZone, instant) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(instant);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return { y: get('year'), m: get('month'), d: get('day'), h: get('hour'), min: get('minute'), s: get('second') };
+}
+
+// Calendar date (yyyy-mm-dd) of an instant in a time zone
+function dateInZone(timeZone, instant = new Date()) {
+  const { y, m, d } = wallClock(timeZone, instant);
+  return `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
+
+// Offset of a time zone from UTC at an instant, in ms
+function zoneOffsetMs(timeZone, instant) {
+  const w = wallClock(timeZone, instant);
+  return Date.UTC(w.y, w.m - 1, w.d, w.h, w.min, w.s) - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+// Instant the puzzle for a date is released
+export function releaseAt(date) {
+  const day = toDate(date).getDay();
+  const hour = day === 0 || day === 6 ? RELEASE_HOUR_WEEKEND : RELEASE_HOUR_WEEKDAY;
+  const [y, m, d] = addDays(date, -1).split('-').map(Number);
+  const wall = Date.UTC(y, m - 1, d, hour);
+  // New York's offset at the guessed instant; release hours are nowhere near a DST switch
+  return new Date(wall - zoneOffsetMs(PUBLICATION_TIME_ZONE, new Date(wall)));
+}
+
+// Date of the newest released puzzle
+export function latestPuzzleDate(now = new Date()) {
+  const tomorrow = addDays(dateInZone(PUBLICATION_TIME_ZONE, now), 1);
+  return now >= releaseAt(tomorrow) ? tomorrow : addDays(tomorrow, -1);
+}
+
+// Whether the puzzle for a date has been released
+export function isReleased(date, now = new Date()) {
+  return date <= latestPuzzleDate(now);
+}
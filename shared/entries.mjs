@@ -0,0 +1,18 @@
+// Grading of cell entries, shared by the server's check route and the browser app
+// An entry is whatever the solver typed in a square: usually one letter, but a
+// rebus square can hold several letters, digits or symbols.
+
+export const MAX_ENTRY_LENGTH = 10; // longest rebus entry the app accepts
+
+// Canonical form of an entry: trimmed and upper-cased
+export function normalizeEntry(value) {
+  return String(value ?? '').trim().toUpperCase();
+}
+
+// Whether an entry matches a normalized letter cell: its answer or one of its
+// alternates (other accepted answers, e.g. "1" for a rebus answer "ONE")
+export function isCorrectEntry(cell, value) {
+  const entry = normalizeEntry(value);
+  if (!entry || !cell?.answer) return false;
+  return entry === cell.answer || (cell.alternates || []).includes(entry);
+}
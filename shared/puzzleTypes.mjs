@@ -0,0 +1,47 @@
+// NYT puzzle types, shared by the server and the browser app
+// Each type is served by the NYT at /svc/crosswords/v6/puzzle/<type>/<date>.json.
+//   firstDate  earliest puzzle the NYT serves for the type
+//   minSize    smallest and largest grid side we accept; anything outside is
+//   maxSize      treated as a malformed payload
+//   monthly    one puzzle a month, dated the 1st
+
+import { addDays, latestPuzzleDate } from './dates.mjs';
+
+export const DEFAULT_TYPE = 'mini';
+
+export const PUZZLE_TYPES = {
+  mini: { label: 'Mini', firstDate: '2014-08-21', minSize: 3, maxSize: 8 },
+  midi: { label: 'Midi', firstDate: '2025-09-08', minSize: 7, maxSize: 13 },
+  daily: { label: 'Daily', firstDate: '1993-11-21', minSize: 13, maxSize: 25 },
+  bonus: { label: 'Bonus', firstDate: '2019-01-01', minSize: 5, maxSize: 25, monthly: true },
+};
+
+export function isPuzzleType(type) {
+  return Object.hasOwn(PUZZLE_TYPES, type);
+}
+
+// Identity for saved progress and caching: the bare date for minis (so progress
+// saved before other types existed still loads), "<type>-<date>" otherwise
+export function puzzleKey(type, date) {
+  return type === DEFAULT_TYPE ? date : `${type}-${date}`;
+}
+
+// Date of the newest released puzzle of a type
+export function latestDateFor(type, now = new Date()) {
+  const latest = latestPuzzleDate(now);
+  return PUZZLE_TYPES[type]?.monthly ? `${latest.slice(0, 8)}01` : latest;
+}
+
+// Date of the next puzzle of a type to be released
+export function nextDateFor(type, now = new Date()) {
+  const latest = latestDateFor(type, now);
+  if (!PUZZLE_TYPES[type]?.monthly) return addDays(latest, 1);
+  const [y, m] = latest.split('-').map(Number);
+  return m === 12 ? `${y + 1}-01-01` : `${y}-${String(m + 1).padStart(2, '0')}-01`;
+}
+
+// Whether a grid size is plausible for a type
+export function sizeFitsType(type, { rows, cols }) {
+  const t = PUZZLE_TYPES[type];
+  return !!t && [rows, cols].every((n) => n >= t.minSize && n <= t.maxSize);
+}
@@ -1,47 +1,180 @@
 import React, { useEffect, useMemo, useRef, useState, useCallback } from "react";
-import { useParams, useNavigate } from "react-router-dom";
+import { useParams, useNavigate, useSearchParams } from "react-router-dom";
 import CrosswordGrid from "./components/CrosswordGrid";
 import ClueList from "./components/ClueList";
 import Header from "./components/Header";
 import Footer from "./components/Footer";
 import ConfirmClearModal from "./components/ConfirmClearModal";
-import { recordScore, loadPuzzleState, savePuzzleState, clearPuzzleState } from "./utils/scoreStorage";
+import ActionMenu from "./components/ActionMenu";
+import RandomPuzzleModal from "./components/RandomPuzzleModal";
+import ReleaseCountdown from "./components/ReleaseCountdown";
+import RoomBar from "./components/RoomBar";
+import RaceBoard from "./components/RaceBoard";
+import { recordScore, loadRecording, saveRecording, loadScores, loadPuzzleState, savePuzzleState, clearPuzzleState, loadImportedPuzzle, saveImportedPuzzle } from "./utils/scoreStorage";
+import { checkEntries, revealCells, entriesOf, importIpuz, createRoom } from "./utils/puzzleApi";
+import { useRoom, saveCoopName } from "./utils/useRoom";
+import { DEFAULT_TYPE, PUZZLE_TYPES, latestDateFor } from "../shared/puzzleTypes.mjs";
+import { MAX_ENTRY_LENGTH, isCorrectEntry } from "../shared/entries.mjs";
 import ReactConfetti from "react-confetti";
 import "./App.css";
 import winSfx from "./assets/win.mp3";
 
 
-// Return today's date as yyyy-mm-dd
-function todayISO() {
-  const d = new Date();
-  const m = String(d.getMonth() + 1).padStart(2, "0");
-  const day = String(d.getDate()).padStart(2, "0");
-  return `${d.getFullYear()}-${m}-${day}`;
+// Friendly messages for the proxy's structured upstream error codes
+const UPSTREAM_ERRORS = {
+  not_found: "No puzzle was found for this date.",
+  malformed: "The puzzle data for this date couldn't be read.",
+  no_match: "No puzzle matches those filters.",
+  timeout: "The NYT servers took too long to respond. Please try again.",
+  blocked: "The NYT servers refused the request. Please try again later.",
+  upstream_error: "The NYT servers returned an error. Please try again later.",
+};
+
+// App path for a puzzle type and date: /2025-08-03 for minis, /daily/2025-08-03 otherwise
+// Without a date, the path for today's puzzle of that type
+function puzzlePath(type, date) {
+  const base = type === DEFAULT_TYPE ? "" : `/${type}`;
+  return date ? `${base}/${date}` : base || "/";
 }
 
-// A cell is playable if it's not null and either type 1 (normal) or has an answer string
-function isPlayableCell(c) { return c && (c.type === 1 || typeof c.answer === "string"); }
+// Today's puzzle date for a type: the newest one the NYT has released, wherever we are
+// (the 1st of the month for monthly types)
+function todayFor(type) {
+  return latestDateFor(type);
+}
+
+// Zoom range for the grid; 1 fits the grid to its area
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 3;
+const ZOOM_STEP = 0.25;
+
+// Build the /random query string for a set of filters (empty values are dropped)
+function randomSearch({ dow = [], year = "", from = "", to = "", size = "", unsolved = false, seed = "" }) {
+  const params = new URLSearchParams();
+  if (dow.length) params.set("dow", dow.join(","));
+  if (year) params.set("year", year);
+  if (from) params.set("from", from);
+  if (to) params.set("to", to);
+  if (size) params.set("size", size);
+  if (unsolved) params.set("unsolved", "1");
+  if (seed.trim()) params.set("seed", seed.trim());
+  const qs = params.toString();
+  return qs ? `?${qs}` : "";
+}
 
-// Check if every playable cell is correctly filled
+// Request body for the random route from /random's query string
+// "unsolved" becomes a list of dates to exclude (everything on the scoreboard)
+function randomFilters(search) {
+  const params = new URLSearchParams(search);
+  const filters = {};
+  for (const key of ["dow", "year", "from", "to", "size", "seed"]) {
+    if (params.get(key)) filters[key] = params.get(key);
+  }
+  if (params.get("unsolved") === "1") filters.exclude = loadScores().map((s) => s.date);
+  return filters;
+}
+
+// Check if every playable cell is correctly filled (answer or an accepted alternate)
+// Only meaningful when the puzzle ships answers
 function isAllCorrect(grid) {
-  return grid.length > 0 && grid.every((c) => !c || (String(c.userInput || "").toUpperCase() === String(c.answer || "").toUpperCase()));
+  return grid.length > 0 && grid.every((c) => !c || isCorrectEntry(c, c.userInput));
+}
+
+// Check if every playable cell has a letter
+function isAllFilled(grid) {
+  return grid.length > 0 && grid.every((c) => !c || !!c.userInput);
+}
+
+// Cells that can't be edited any more: checked correct, or revealed
+function isLocked(cell) {
+  return cell?.status === "correct" || cell?.status === "revealed";
 }
 
-export default function App() {
+// Undo/redo history: each step lists the cells one change touched, as
+// { i, from, to } with the cell's { userInput, status, pencil } before and after
+const MAX_HISTORY = 200;
+const EMPTY_HISTORY = { past: [], future: [] };
+
+function cellState(c) {
+  return { userInput: c.userInput || "", status: c.status || "neutral", pencil: !!c.pencil };
+}
+
+// History step between two grids of the same puzzle (empty if nothing changed)
+function diffGrids(prev, next) {
+  const step = [];
+  next.forEach((c, i) => {
+    const p = prev[i];
+    if (!c || !p) return;
+    if (p.userInput !== c.userInput || p.status !== c.status || !!p.pencil !== !!c.pencil) {
+      step.push({ i, from: cellState(p), to: cellState(c) });
+    }
+  });
+  return step;
+}
+
+// Apply a history step to a grid; side is "from" to undo it, "to" to redo it
+function applyStep(grid, step, side) {
+  const next = [...grid];
+  for (const change of step) {
+    if (next[change.i]) next[change.i] = { ...next[change.i], ...change[side] };
+  }
+  return next;
+}
+
+// Solve recordings stop growing past this many events
+const MAX_RECORDED_EVENTS = 5000;
+
+// Saved history, if it looks like one
+function validHistory(h) {
+  return h && Array.isArray(h.past) && Array.isArray(h.future) ? h : EMPTY_HISTORY;
+}
+
+// What's saved of each cell: the entry, its check status and whether it's in pencil
+function savedCells(grid) {
+  return grid.map((c) => (c ? { userInput: c.userInput || "", status: c.status || "neutral", ...(c.pencil ? { pencil: true } : {}) } : null));
+}
+
+// Grade filled cells against local answers: { [index]: "correct" | "wrong" }
+function gradeLocally(grid) {
+  const results = {};
+  grid.forEach((c, i) => {
+    if (!c || !c.userInput) return;
+    results[i] = isCorrectEntry(c, c.userInput) ? "correct" : "wrong";
+  });
+  return results;
+}
+
+// type: NYT puzzle type from shared/puzzleTypes.mjs, set by the route (/daily/…, /midi/…)
+// date, roomId and mode ("coop" or "race") are set by RoomPage for a room; the room's
+// server then owns the grid, checks and timer, and nothing is saved in this browser
+export default function App({ type = DEFAULT_TYPE, date = null, roomId = null, mode = null }) {
   const params = useParams();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const randomQuery = params.date === "random" ? searchParams.toString() : "";
+  const importedId = params.puzzleId || null;
 
-  const dateParam = params.date;
+  const dateParam = date ?? params.date;
   const effectiveDate = useMemo(() => {
     if (dateParam === "random") return null;
-    return /^\d{4}-\d{2}-\d{2}$/.test(dateParam || "") ? dateParam : todayISO();
-  }, [dateParam]);
+    return /^\d{4}-\d{2}-\d{2}$/.test(dateParam || "") ? dateParam : todayFor(type);
+  }, [dateParam, type]);
 
   const [puzzle, setPuzzle] = useState(null);
+  // Identity used for saved progress: the date for minis, "daily-<date>" etc. for
+  // other types, or "ipuz-…" for imported puzzles
+  const [puzzleId, setPuzzleId] = useState(null);
+  const [meta, setMeta] = useState(null);
   const [grid, setGrid] = useState([]);
   const [cols, setCols] = useState(5);
   const [rows, setRows] = useState(5);
+  // Grid zoom factor; big grids start scaled to fit and can be zoomed in and scrolled
+  const [zoom, setZoom] = useState(1);
+  const [answersHidden, setAnswersHidden] = useState(false);
   const [error, setError] = useState("");
+  // { date, releaseAt (ms), lastAvailable } while the requested puzzle isn't out yet
+  const [notReleased, setNotReleased] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
 
   const [timer, setTimer] = useState(0);
   const [started, setStarted] = useState(false);
@@ -51,14 +184,59 @@ export default function App() {
 
   const [activeIndex, setActiveIndex] = useState(null);
   const [direction, setDirection] = useState("Across");
+  // Cell being filled in rebus mode (several characters in one square), or null
+  const [rebusIndex, setRebusIndex] = useState(null);
+  // Pencil mode: new letters are tentative (shown grey) until inked
+  const [pencil, setPencil] = useState(false);
   const inputRefs = useRef([]);
+  const ipuzInputRef = useRef(null);
   const [showClearModal, setShowClearModal] = useState(false);
+  const [showRandomModal, setShowRandomModal] = useState(false);
   const resumeAfterModalRef = useRef(false);
+  // Help used on this puzzle so far (see helpUsed in utils/scoreStorage.js); a ref so
+  // it's current inside persistState without waiting for a render
+  const helpRef = useRef({});
+  // Undo/redo stacks (saved with the puzzle), the grid they last saw, and a counter
+  // bumped on every change so the Undo/Redo buttons re-render
+  const historyRef = useRef(EMPTY_HISTORY);
+  const historyGridRef = useRef(null);
+  const [, setHistoryVersion] = useState(0);
+  // Solve recording for the replay page (NYT puzzles played alone): events, the grid
+  // and play state they last saw, and when the timer last ticked (for ms precision)
+  const recording = !roomId && !importedId;
+  const recordingRef = useRef([]);
+  const recordGridRef = useRef(null);
+  const recordPlayRef = useRef(null);
+  const tickRef = useRef(0);
+  // Autocheck: mark wrong letters as soon as they're typed; saved with the puzzle since
+  // it's charged as help, with a ref so it's current inside persistState like helpRef
+  const [autocheck, setAutocheck] = useState(false);
+  const autocheckRef = useRef(false);
   const [showConfetti, setShowConfetti] = useState(false);
   const [showToast, setShowToast] = useState(false);
   const [finalTime, setFinalTime] = useState(null);
 
   const isPlaying = started && !paused && !completed;
+  // The play state as of this render, for callbacks that shouldn't change every second
+  const clockRef = useRef(null);
+  clockRef.current = { timer, started, paused, completed, playing: isPlaying };
+  const hasPencil = grid.some((c) => c?.pencil && c.userInput);
+
+  // Co-op room: everyone in it ({ clientId, name, color, index, direction, online }),
+  // our own clientId, and the last entries the server has for each cell
+  const [participants, setParticipants] = useState([]);
+  const [you, setYou] = useState(null);
+  const [roomError, setRoomError] = useState("");
+  const syncedRef = useRef([]);
+  // The room's solve time once the server reports the solve; finishing waits for the
+  // next render so it sees any letters that arrived in the same batch
+  const [roomSolvedIn, setRoomSolvedIn] = useState(null);
+  // Race rooms: { status, startsAt (our clock), results, progress }, our time penalty,
+  // and the whole seconds left while counting down
+  const racing = !!roomId && mode === "race";
+  const [race, setRace] = useState(null);
+  const [penaltyMs, setPenaltyMs] = useState(0);
+  const [countdown, setCountdown] = useState(null);
 
   const winAudioRef = React.useRef(null);
   const [soundEnabled, setSoundEnabled] = useState(true);
@@ -73,7 +251,11 @@ export default function App() {
   // Timer effect
   useEffect(() => {
     if (!started || paused || completed) return;
-    const id = setInterval(() => setTimer((t) => t + 1), 1000);
+    tickRef.current = performance.now();
+    const id = setInterval(() => {
+      tickRef.current = performance.now();
+      setTimer((t) => t + 1);
+    }, 1000);
     setIntervalId(id);
     return () => clearInterval(id);
   }, [started, paused, completed]);
@@ -82,7 +264,10 @@ export default function App() {
   useEffect(() => {
     async function load() {
       setError("");
+      setNotReleased(null);
       setPuzzle(null);
+      setPuzzleId(null);
+      setMeta(null);
       setGrid([]);
       setStarted(false);
       setPaused(false);
@@ -90,74 +275,85 @@ export default function App() {
       setTimer(0);
       setActiveIndex(null);
       setDirection("Across");
+      setRebusIndex(null);
       setShowConfetti(false);
       setShowToast(false);
       setFinalTime(null);
 
       try {
-        const url =
-          dateParam === "random"
-            ? `/api/puzzle/mini/random.json`
-            : `/api/puzzle/mini/${effectiveDate}.json`;
-
-        // Fetch from our backend proxy
-        const res = await fetch(url);
-        if (!res.ok) {
-          const maybeJson = await res.json().catch(() => null);
-          const msg = maybeJson?.error || `HTTP ${res.status}`;
-          throw new Error(msg);
-        }
-        const meta = await res.json();
+        // Normalized puzzle format (schema v1), see server/puzzleSchema.js
+        // Imported puzzles were normalized on upload and are read back from this browser
+        let data;
+        if (importedId) {
+          data = loadImportedPuzzle(importedId);
+          if (!data) throw new Error("This imported puzzle isn't saved in this browser. Open the .ipuz file again to play it.");
+        } else {
+          // Random filters are POSTed since the exclude list can get long
+          // Without a date in the URL the server picks the newest released puzzle
+          const res =
+            dateParam === "random"
+              ? await fetch(`/api/puzzle/v1/${type}/random.json`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify(randomFilters(randomQuery)),
+              })
+              : await fetch(`/api/puzzle/v1/${type}/${dateParam === effectiveDate ? effectiveDate : "today"}.json`);
+
+          if (!res.ok) {
+            const maybeJson = await res.json().catch(() => null);
+            if (maybeJson?.code === "not_released") {
+              setNotReleased({
+                date: maybeJson.date,
+                releaseAt: Date.parse(maybeJson.releaseAt),
+                lastAvailable: maybeJson.lastAvailable,
+              });
+              return;
+            }
+            const msg = UPSTREAM_ERRORS[maybeJson?.code] || maybeJson?.error || `HTTP ${res.status}`;
+            throw new Error(msg);
+          }
+          data = await res.json();
 
-        // If we requested "random" and got a resolvedDate, redirect to that date
-        if (dateParam === "random" && meta?.resolvedDate) {
-          navigate(`/${meta.resolvedDate}`, { replace: true });
+          // If we requested "random", redirect to the date we got; that route loads it
+          if (dateParam === "random" && data?.date) {
+            navigate(puzzlePath(type, data.date), { replace: true });
+            return;
+          }
         }
 
-        // Parse and validate payload
-        const data = meta?.body?.[0];
-        if (!data?.cells || !data?.clues) throw new Error("Malformed NYT payload");
-
-        // Determine grid size
-        // Prefer dimensions or size from API; else infer from cell count
-        // (usually 5x5, but some early ones are 4x4 and some special ones are other sizes)
-        // eslint-disable-next-line no-bitwise
-        const newCols = data?.dimensions?.cols ?? data?.size?.cols ?? (Math.sqrt(data.cells.length) | 0);
-        const newRows = data?.dimensions?.rows ?? data?.size?.rows ?? Math.ceil(data.cells.length / newCols);
+        const newCols = data.size.cols;
+        const newRows = data.size.rows;
 
-        // Build initial grid state
+        // Build initial grid state (blocks are null)
         const initialGrid = data.cells.map((cell, i) =>
-          isPlayableCell(cell)
-            ? {
+          cell.type === "block"
+            ? null
+            : {
               ...cell,
               id: i,
               userInput: "",
               status: "neutral",
-              label: cell.label ?? null,
             }
-            : null
         );
-        // Add clue labels to starting cells
-        data.clues.forEach((cl) => {
-          const startIdx = cl.cells?.[0];
-          if (startIdx != null && initialGrid[startIdx]) {
-            initialGrid[startIdx].label = cl.label;
-          }
-        });
 
         // Core puzzle clues
         const corePuzzle = data.clues.map((c) => ({
           label: c.label,
           direction: c.direction,
-          clue: (c.text?.[0]?.plain ?? "").trim(),
-          cells: c.cells || [],
+          clue: c.text,
+          runs: c.runs,
+          refs: c.refs,
+          cells: c.cells,
         }));
 
-        // Try restoring saved state for this date
-        const thisDate = (dateParam && /^\d{4}-\d{2}-\d{2}$/.test(dateParam) ? dateParam : null) || effectiveDate || todayISO();
-        const saved = loadPuzzleState(thisDate);
+        // Try restoring saved state for this puzzle (rooms start from the room's state instead)
+        const thisId = data.id || data.date || effectiveDate;
+        const saved = roomId ? null : loadPuzzleState(thisId);
         let restoredGrid = initialGrid;
         let restoredTimer = 0, restoredStarted = false, restoredPaused = false, restoredCompleted = false;
+        let restoredHelp = {};
+        let restoredAutocheck = false;
+        let restoredHistory = EMPTY_HISTORY;
 
         // Validate saved state
         if (saved && Array.isArray(saved.grid) && saved.grid.length === initialGrid.length) {
@@ -169,27 +365,43 @@ export default function App() {
               ...cell,
               userInput: typeof s.userInput === "string" ? s.userInput : "",
               status: s.status || "neutral",
+              pencil: !!s.pencil && !!s.userInput,
             };
           });
 
-          // Validate saved statuses (only "neutral", "correct", "wrong" allowed)
+          // Validate saved statuses (only "neutral", "correct", "wrong", "revealed" allowed)
           restoredTimer = Number.isFinite(saved.timer) ? saved.timer : 0;
           restoredStarted = !!saved.started;
           restoredPaused = !!saved.paused;
           restoredCompleted = !!saved.completed;
+          restoredHelp = saved.help && typeof saved.help === "object" ? saved.help : {};
+          restoredAutocheck = !!saved.autocheck;
+          restoredHistory = validHistory(saved.history);
         }
 
         setPuzzle(corePuzzle);
+        setPuzzleId(thisId);
+        setMeta(data.meta || null);
+        setAnswersHidden(!!data.answersHidden);
         setGrid(restoredGrid);
+        syncedRef.current = restoredGrid.map((c) => c?.userInput ?? "");
         setCols(newCols);
         setRows(newRows);
+        setZoom(1);
         setTimer(restoredTimer);
         setStarted(restoredStarted);
         setPaused(restoredPaused);
         setCompleted(restoredCompleted);
+        helpRef.current = restoredHelp;
+        autocheckRef.current = restoredAutocheck;
+        setAutocheck(restoredAutocheck);
+        historyRef.current = restoredHistory;
+        historyGridRef.current = null; // a new grid, not a change to record
+        recordingRef.current = loadRecording(thisId)?.events || [];
+        setHistoryVersion((v) => v + 1);
 
         // Set first active cell (first playable cell in the grid)
-        const firstPlayable = restoredGrid.findIndex((c) => c && typeof c.answer === "string");
+        const firstPlayable = restoredGrid.findIndex((c) => !!c);
         setActiveIndex(firstPlayable >= 0 ? firstPlayable : null);
         setDirection("Across");
       } catch (e) {
@@ -198,7 +410,16 @@ export default function App() {
     }
 
     load();
-  }, [dateParam, effectiveDate]);
+  }, [type, dateParam, effectiveDate, randomQuery, importedId, roomId, reloadKey]);
+
+  const handleReleased = useCallback(() => setReloadKey((k) => k + 1), []);
+
+  // Moving to another cell (click, arrow, clue) finishes a rebus entry, keeping what was typed
+  // (through a ref, so the effect runs on moves only but sees this render's grid)
+  const finishRebusRef = useRef(null);
+  useEffect(() => {
+    if (rebusIndex != null && activeIndex !== rebusIndex) finishRebusRef.current(false);
+  }, [activeIndex, rebusIndex]);
 
   // Focus effect (on activeIndex/direction/grid change)
   useEffect(() => {
@@ -263,31 +484,36 @@ export default function App() {
   }, [activeIndex, direction, indexToAcross, indexToDown]);
 
   // Current effective date (validated dateParam or today)
-  // Used for persistence key
+  // Used for the check routes and downloads; persistence uses puzzleId
   const currentDate = useMemo(() => {
-    return (dateParam && /^\d{4}-\d{2}-\d{2}$/.test(dateParam) ? dateParam : null) || effectiveDate || todayISO();
-  }, [dateParam, effectiveDate]);
+    return (dateParam && /^\d{4}-\d{2}-\d{2}$/.test(dateParam) ? dateParam : null) || effectiveDate || todayFor(type);
+  }, [dateParam, effectiveDate, type]);
 
   // Persist state helper (stable)
-  // Saves to localStorage under the current date key
+  // Saves to localStorage under the current puzzle ID (nothing while loading)
   // Strips out unneeded cell data before saving
   // Called whenever grid/timer/started/paused/completed changes
   // (but not on every keystroke, only when the grid state changes)
   const persistState = useCallback((nextGrid, nextTimer, nextStarted, nextPaused, nextCompleted) => {
-    savePuzzleState(currentDate, {
-      date: currentDate,
+    if (roomId) return;
+    savePuzzleState(puzzleId, {
+      id: puzzleId,
       timer: nextTimer,
       started: nextStarted,
       paused: nextPaused,
       completed: nextCompleted,
-      grid: nextGrid.map((c) => (c ? { userInput: c.userInput || "", status: c.status || "neutral" } : null)),
+      help: helpRef.current,
+      autocheck: autocheckRef.current,
+      history: historyRef.current,
+      grid: savedCells(nextGrid),
     });
-  }, [currentDate]);
+  }, [puzzleId, roomId]);
 
   // Finish puzzle helper (stable)
   // Stops timer, marks everything correct, shows alert, records score, persists state
   // Called when user completes the puzzle or when auto-complete is detected
-  const finishPuzzle = useCallback(async (finalGrid) => {
+  // seconds overrides the local timer (a room's solve time comes from the server)
+  const finishPuzzle = useCallback(async (finalGrid, seconds) => {
     if (completed) return;
 
     blurActive();
@@ -300,7 +526,7 @@ export default function App() {
     setCompleted(true);
 
     // Freeze timer and show toast
-    const secs = (t => t)(timer);
+    const secs = seconds ?? timer;
     setFinalTime(formatTime(secs));
     setShowToast(true);
 
@@ -311,34 +537,90 @@ export default function App() {
     }
 
     // ensure grid shows correct everywhere
-    const corrected = finalGrid.map((c) => (c ? { ...c, status: "correct" } : null));
+    // (revealed cells keep their marker)
+    const corrected = finalGrid.map((c) => (c ? { ...c, status: c.status === "revealed" ? "revealed" : "correct" } : null));
     setGrid(corrected);
-    recordScore({ date: currentDate, seconds: secs });
+    // the scoreboard only tracks NYT minis solved alone
+    if (!importedId && !roomId && type === DEFAULT_TYPE) recordScore({ date: currentDate, seconds: secs, help: helpRef.current });
     persistState(corrected, secs, started, paused, true);
-  }, [intervalId, timer, currentDate, persistState, started, paused]);
+  }, [intervalId, timer, currentDate, importedId, roomId, type, persistState, started, paused]);
 
   // Handle input change in a cell
   function handleInput(index, value) {
-    setGrid((prev) => {
-      if (!prev[index] || prev[index].status === "correct") return prev;
-      const next = prev.map((cell, i) =>
-        i === index && cell
-          ? { ...cell, userInput: (value || "").toUpperCase(), status: cell.status === "wrong" ? "neutral" : cell.status }
-          : cell
-      );
+    if (!grid[index] || isLocked(grid[index])) return;
+    const next = grid.map((cell, i) =>
+      i === index && cell
+        ? { ...cell, userInput: (value || "").toUpperCase(), status: cell.status === "wrong" ? "neutral" : cell.status, pencil: pencil && !!value }
+        : cell
+    );
+    setGrid(next);
+    finishOrPersist(next);
+    if (autocheck && value) autocheckEntries({ [index]: value.toUpperCase() });
+  }
 
-      // Auto-finish check: every playable cell matches answer
-      const completedNow = isAllCorrect(next);
-      if (completedNow && !completed) {
-        // immediate finish
-        finishPuzzle(next);
-        return next;
-      }
+  // Grade filled cells: { [index]: "correct" | "wrong" }
+  // Compares locally when the puzzle ships answers, else asks the server
+  // indices limits what's sent to the server (everything filled if omitted)
+  async function gradeCells(g, indices) {
+    if (!answersHidden) return gradeLocally(g);
+    const { results } = await checkEntries(currentDate, entriesOf(g, indices), type);
+    return results;
+  }
 
-      // Persist in-progress state
+  // Count help used on this puzzle (kind as in helpUsed; n for cell counts)
+  function countHelp(kind, n = 1) {
+    helpRef.current = { ...helpRef.current, [kind]: (helpRef.current[kind] || 0) + n };
+  }
+
+  // Autocheck: grade just-typed entries ({ [index]: value }) and mark the wrong ones,
+  // unless the cell has changed again in the meantime
+  async function autocheckEntries(entries) {
+    const indices = Object.keys(entries);
+    if (roomId || indices.length === 0) return;
+    let results;
+    try {
+      results = answersHidden
+        ? (await checkEntries(currentDate, entries, type)).results
+        : Object.fromEntries(indices.map((i) => [i, isCorrectEntry(grid[i], entries[i]) ? "correct" : "wrong"]));
+    } catch {
+      return; // the letter just stays unchecked
+    }
+    countHelp("autocheck", indices.length);
+    // an updater, since the grid may have changed while waiting; the history effect saves it
+    setGrid((prev) => prev.map((c, i) =>
+      c && results[i] === "wrong" && c.status === "neutral" && c.userInput === entries[i] ? { ...c, status: "wrong" } : c
+    ));
+  }
+
+  function toggleAutocheck() {
+    const next = !autocheck;
+    setAutocheck(next);
+    autocheckRef.current = next;
+    persistState(grid, timer, started, paused, completed);
+    // turning it on checks what's already filled in
+    if (next) autocheckEntries(entriesOf(grid, grid.flatMap((c, i) => (c && c.status === "neutral" ? [i] : []))));
+  }
+
+  // Auto-finish if every playable cell matches its answer, else persist in-progress state
+  // With hidden answers the server is only asked once the grid is full
+  // In a room the server spots the solve and tells everyone
+  function finishOrPersist(next) {
+    if (roomId) return;
+    if (completed) {
       persistState(next, timer, started, paused, completed);
-      return next;
-    });
+      return;
+    }
+    if (!answersHidden) {
+      if (isAllCorrect(next)) finishPuzzle(next);
+      else persistState(next, timer, started, paused, completed);
+      return;
+    }
+    persistState(next, timer, started, paused, completed);
+    if (isAllFilled(next)) {
+      checkEntries(currentDate, entriesOf(next), type)
+        .then(({ solved }) => { if (solved) finishPuzzle(next); })
+        .catch(() => { /* ignore; the user can still check manually */ });
+    }
   }
 
   // Format time as mm:ss
@@ -349,7 +631,17 @@ export default function App() {
   }
 
   // Start/pause/resume button handler
+  // A room has one timer for everybody; it changes when the server says so
   function toggleTimer() {
+    if (racing) {
+      if (race?.status === "waiting") sendRoom({ t: "start" });
+      return;
+    }
+    if (roomId) {
+      sendRoom({ t: "timer", action: !started ? "start" : paused ? "resume" : "pause" });
+      setTimeout(() => inputRefs.current[activeIndex]?.focus?.(), 0);
+      return;
+    }
     if (!started) {
       setStarted(true);
       setPaused(false);
@@ -378,11 +670,11 @@ export default function App() {
     if (!cells?.length) return null;
     for (const idx of cells) {
       const c = grid[idx];
-      if (c && c.status !== "correct" && !c.userInput) return idx; // prefer empty
+      if (c && !isLocked(c) && !c.userInput) return idx; // prefer empty
     }
     for (const idx of cells) {
       const c = grid[idx];
-      if (c && c.status !== "correct") return idx; // any non-locked
+      if (c && !isLocked(c)) return idx; // any non-locked
     }
     return null;
   }
@@ -390,7 +682,7 @@ export default function App() {
   function firstEditableAnywhere(grid) {
     for (let i = 0; i < grid.length; i++) {
       const c = grid[i];
-      if (c && c.status !== "correct") return i;
+      if (c && !isLocked(c)) return i;
     }
     return null;
   }
@@ -402,46 +694,106 @@ export default function App() {
     }
   }
 
-  // Check answers button handler
+  // Check answers: the active square, its word or the whole grid
+  // (kind is "checkSquare", "checkWord" or "checkPuzzle", counted as help)
   // Marks each cell as correct/wrong/neutral based on user input
-  function checkAnswers() {
+  async function checkAnswers(kind = "checkPuzzle") {
     if (completed) return;
 
     if (!grid || grid.length === 0) return;
 
-    const nextGrid = grid.map((cell) => {
+    let scope = null;
+    if (kind === "checkSquare") scope = activeIndex == null ? [] : [activeIndex];
+    if (kind === "checkWord") scope = getWordCells(activeIndex, direction).cells;
+    if (scope?.length === 0) return;
+
+    if (roomId) {
+      sendRoom({ t: "check", ...(scope ? { cells: scope } : {}) });
+      return;
+    }
+
+    let results;
+    try {
+      results = await gradeCells(grid, scope ?? undefined);
+    } catch (e) {
+      alert(`Couldn't check answers: ${e.message || e}`);
+      return;
+    }
+    countHelp(kind);
+    record({ type: "check", kind });
+
+    const inScope = scope && new Set(scope);
+    const nextGrid = grid.map((cell, i) => {
       if (!cell) return null;
-      const expected = (cell.answer || "").toUpperCase();
-      const actual = (cell.userInput || "").toUpperCase();
-      if (!actual) return { ...cell, status: "neutral" };
-      return { ...cell, status: actual === expected ? "correct" : "wrong" };
+      if (cell.status === "revealed" || (inScope && !inScope.has(i))) return cell;
+      if (!cell.userInput) return { ...cell, status: "neutral" };
+      return { ...cell, status: results[i] || "neutral" };
     });
 
     // If all correct now, finish the puzzle
-    if (nextGrid.every((c) => !c || c.status === "correct")) {
+    if (nextGrid.every((c) => !c || isLocked(c))) {
       setGrid(nextGrid);
       blurActive();
       finishPuzzle(nextGrid);
     } else {
       setGrid(nextGrid);
-      // if focus landed on a locked cell, move to next editable in the current word
-      if (activeIndex != null && nextGrid[activeIndex]?.status === "correct") {
-        // Try same word in current direction
-        const { cells } = getWordCells(activeIndex, direction);
-        let target = firstEditableIndex(cells, nextGrid);
-        // Else try anywhere
-        if (target == null) target = firstEditableAnywhere(nextGrid);
-        // Else clear selection and blur
-        if (target != null) setActiveIndex(target);
-        else {
-          setActiveIndex(null);
-          blurActive();
-        }
-      }
+      moveOffLocked(nextGrid);
       persistState(nextGrid, timer, started, paused, completed);
     }
   }
 
+  // If the active cell just got locked, move to the next editable one in the
+  // current word, else anywhere, else clear the selection
+  function moveOffLocked(nextGrid) {
+    if (activeIndex == null || !isLocked(nextGrid[activeIndex])) return;
+    const { cells } = getWordCells(activeIndex, direction);
+    let target = firstEditableIndex(cells, nextGrid);
+    if (target == null) target = firstEditableAnywhere(nextGrid);
+    if (target != null) setActiveIndex(target);
+    else {
+      setActiveIndex(null);
+      blurActive();
+    }
+  }
+
+  // ---- reveal: fill in the answers for the active square, its word or the whole
+  // grid; revealed cells lock with a marker and the solve counts as assisted
+  async function reveal(kind) {
+    if (!isPlaying || grid.length === 0) return;
+    let cells;
+    if (kind === "revealPuzzle") cells = grid.map((_, i) => i);
+    else if (kind === "revealWord") cells = getWordCells(activeIndex, direction).cells;
+    else cells = activeIndex == null ? [] : [activeIndex];
+    const targets = cells.filter((i) => grid[i] && !isLocked(grid[i]));
+    if (targets.length === 0) return;
+    if (kind === "revealPuzzle" && !confirm("Reveal the whole puzzle?")) return;
+
+    if (roomId) {
+      sendRoom({ t: "reveal", cells: targets });
+      return;
+    }
+
+    let answers;
+    try {
+      answers = answersHidden
+        ? (await revealCells(currentDate, targets, type)).answers
+        : Object.fromEntries(targets.map((i) => [i, grid[i].answer]));
+    } catch (e) {
+      alert(`Couldn't reveal answers: ${e.message || e}`);
+      return;
+    }
+
+    countHelp(kind);
+    countHelp("revealedCells", targets.length);
+    record({ type: "reveal", kind });
+    const next = grid.map((c, i) =>
+      answers[i] != null ? { ...c, userInput: answers[i], status: "revealed", pencil: false } : c
+    );
+    setGrid(next);
+    moveOffLocked(next);
+    finishOrPersist(next);
+  }
+
   // Movement within the current word
   function moveWithinWord(offset) {
     if (activeIndex == null) return;
@@ -474,7 +826,7 @@ export default function App() {
   // Check if index is within grid bounds
   function inBounds(idx) { return idx >= 0 && idx < grid.length; }
 
-  // Move active cell by arrow key, skipping non-playable cells
+  // Move active cell by arrow key, skipping non-playable and locked cells
   function moveByArrow(key) {
     if (activeIndex == null) return;
     let step = null;
@@ -487,44 +839,40 @@ export default function App() {
 
     let next = activeIndex + step;
 
-    while (inBounds(next) && (!grid[next] || (horizontal && !sameRow(activeIndex, next)))) {
+    while (inBounds(next) && (!grid[next] || isLocked(grid[next]) || (horizontal && !sameRow(activeIndex, next)))) {
       if (horizontal && !sameRow(activeIndex, next)) return;
       next += step;
     }
 
-    if (inBounds(next) && grid[next]) {
+    if (inBounds(next) && grid[next] && !isLocked(grid[next])) {
       setActiveIndex(next);
       if (horizontal) setDirection("Across"); else setDirection("Down");
     }
   }
 
-  // Type a letter into the active cell and move forward within the word
+  // Next (step 1) or previous (step -1) cell in the active word that isn't locked
+  function editableInWord(step) {
+    const { cells, pos } = getWordCells(activeIndex, direction);
+    for (let p = pos + step; p >= 0 && p < cells.length; p += step) {
+      if (!isLocked(grid[cells[p]])) return cells[p];
+    }
+    return null;
+  }
+
+  // Type a letter into the active cell and move forward within the word,
+  // stepping over locked cells
   function typeLetter(letter) {
-    if (activeIndex == null) return;
+    if (activeIndex == null || isLocked(grid[activeIndex])) return;
     const L = letter.toUpperCase();
-
-    setGrid((prev) => {
-      const next = prev.map((cell, i) =>
-        i === activeIndex && cell ? { ...cell, userInput: L, status: cell.status === "wrong" ? "neutral" : cell.status } : cell
-      );
-
-      // 
-      const { cells, pos } = getWordCells(activeIndex, direction);
-      const nextPos = pos + 1;
-      if (cells.length && nextPos < cells.length) {
-        setActiveIndex(cells[nextPos]);
-      }
-
-      // Auto-finish if all correct
-      const completedNow = isAllCorrect(next);
-      if (completedNow && !completed) {
-        finishPuzzle(next);
-      } else {
-        persistState(next, timer, started, paused, completed);
-      }
-
-      return next;
-    });
+    const ahead = editableInWord(1);
+
+    const next = grid.map((cell, i) =>
+      i === activeIndex && cell ? { ...cell, userInput: L, status: cell.status === "wrong" ? "neutral" : cell.status, pencil } : cell
+    );
+    setGrid(next);
+    if (ahead != null) setActiveIndex(ahead);
+    finishOrPersist(next);
+    if (autocheck) autocheckEntries({ [activeIndex]: L });
   }
 
   function handleBackspace() {
@@ -532,29 +880,74 @@ export default function App() {
     const here = grid[activeIndex];
     if (!here) return;
 
-    setGrid((prev) => {
-      let next = prev;
+    let next;
+    if (!here.userInput || isLocked(here)) {
+      // go back within the word to the previous cell that isn't locked and clear it
+      const prevIdx = editableInWord(-1);
+      if (prevIdx == null) return;
+
+      next = grid.map((cell, i) =>
+        i === prevIdx && cell ? { ...cell, userInput: "", pencil: false } : cell
+      );
+      setActiveIndex(prevIdx);
+    } else {
+      // clear current cell but don't move
+      next = grid.map((cell, i) =>
+        i === activeIndex && cell ? { ...cell, userInput: "", pencil: false } : cell
+      );
+    }
+
+    setGrid(next);
+    persistState(next, timer, started, paused, completed);
+  }
 
-      if (!here.userInput) {
-        // go back one within the word and clear that cell
-        const { cells, pos } = getWordCells(activeIndex, direction);
-        const prevPos = Math.max(pos - 1, 0);
-        const prevIdx = cells.length ? cells[prevPos] : activeIndex;
+  // ---- rebus mode: several characters in one square (Escape or Insert to start,
+  // Enter/Escape/Insert/Tab to finish; moving to another cell also finishes it)
+  function startRebus() {
+    if (activeIndex == null || completed) return;
+    const cell = grid[activeIndex];
+    if (!cell || isLocked(cell)) return;
+    setRebusIndex(activeIndex);
+  }
 
-        next = prev.map((cell, i) =>
-          i === prevIdx && cell ? { ...cell, userInput: "" } : cell
-        );
-        setActiveIndex(prevIdx);
-      } else {
-        // clear current cell but don't move
-        next = prev.map((cell, i) =>
-          i === activeIndex && cell ? { ...cell, userInput: "" } : cell
-        );
-      }
+  // Leave rebus mode; advance moves on within the word like typing a letter does
+  function finishRebus(advance) {
+    if (rebusIndex == null) return;
+    setRebusIndex(null);
+    if (advance) {
+      const { cells, pos } = getWordCells(rebusIndex, direction);
+      if (cells.length && pos + 1 < cells.length) setActiveIndex(cells[pos + 1]);
+    }
+    finishOrPersist(grid);
+    if (autocheck && grid[rebusIndex]?.userInput) autocheckEntries({ [rebusIndex]: grid[rebusIndex].userInput });
+  }
+  finishRebusRef.current = finishRebus;
+
+  // Append a character to the rebus cell; completion is checked when the entry is finished
+  function typeRebus(char) {
+    const index = rebusIndex;
+    const cell = grid[index];
+    if (!cell || cell.userInput.length >= MAX_ENTRY_LENGTH) return;
+    const next = grid.map((c, i) =>
+      i === index ? { ...c, userInput: c.userInput + char.toUpperCase(), status: c.status === "wrong" ? "neutral" : c.status, pencil } : c
+    );
+    setGrid(next);
+    persistState(next, timer, started, paused, completed);
+  }
 
-      persistState(next, timer, started, paused, completed);
-      return next;
-    });
+  function backspaceRebus() {
+    const index = rebusIndex;
+    if (!grid[index]?.userInput) return;
+    const next = grid.map((c, i) => (i === index ? { ...c, userInput: c.userInput.slice(0, -1) } : c));
+    setGrid(next);
+    persistState(next, timer, started, paused, completed);
+  }
+
+  // Turn every pencil letter into pen
+  function inkAll() {
+    const next = grid.map((c) => (c?.pencil ? { ...c, pencil: false } : c));
+    setGrid(next);
+    persistState(next, timer, started, paused, completed);
   }
 
   function firstUnfilledIndex(cells, grid) {
@@ -571,12 +964,12 @@ export default function App() {
     if (!cells?.length) return null;
     for (const idx of cells) {
       const c = grid[idx];
-      if (c && c.status !== "correct" && !c.userInput) return idx; // prefer empty & editable
+      if (c && !isLocked(c) && !c.userInput) return idx; // prefer empty & editable
     }
     // if none empty, allow the first *non-locked* to edit/overwrite; else fallback to first
     for (const idx of cells) {
       const c = grid[idx];
-      if (c && c.status !== "correct") return idx;
+      if (c && !isLocked(c)) return idx;
     }
     return null; // whole word locked
   }
@@ -616,34 +1009,36 @@ export default function App() {
   }
 
   // ---- clear button behavior (bottom-left footer)
-  function handleClear() {
+  async function handleClear() {
     if (grid.length === 0) return;
+    if (roomId) {
+      if (!completed) sendRoom({ t: "clear", mode: "errors" });
+      else if (confirm("Reset this completed crossword for everyone in the room?")) sendRoom({ t: "clear", mode: "all" });
+      return;
+    }
     const isComplete = isAllCorrect(grid);
 
     if (isComplete || completed) {
       // Confirm full reset to replay
       if (confirm("Reset this completed crossword to replay from scratch?")) {
-        const cleared = grid.map((c) => (c ? { ...c, userInput: "", status: "neutral" } : null));
+        const cleared = grid.map((c) => (c ? { ...c, userInput: "", status: "neutral", pencil: false } : null));
         setGrid(cleared);
         setTimer(0);
         setStarted(false);
         setPaused(false);
         setCompleted(false);
-        clearPuzzleState(currentDate); // or save empty state:
-        savePuzzleState(currentDate, { date: currentDate, timer: 0, started: false, paused: false, completed: false, grid: cleared.map((c) => c ? { userInput: "", status: "neutral" } : null) });
+        clearPuzzleState(puzzleId); // or save empty state:
+        helpRef.current = {};
+        resetHistory();
+        restartRecording();
+        savePuzzleState(puzzleId, { id: puzzleId, timer: 0, started: false, paused: false, completed: false, help: {}, autocheck: autocheckRef.current, history: EMPTY_HISTORY, grid: cleared.map((c) => c ? { userInput: "", status: "neutral" } : null) });
       }
     } else {
       // Clear only unchecked/incorrect, keep correct
-      const cleared = grid.map((c) => {
-        if (!c) return null;
-        const exp = String(c.answer || "").toUpperCase();
-        const act = String(c.userInput || "").toUpperCase();
-        const isCorrect = !!act && act === exp;
-        if (isCorrect) return c; // leave as-is
-        return { ...c, userInput: "", status: "neutral" };
-      });
+      const cleared = await keepCorrectOnly(grid);
+      if (!cleared) return;
       setGrid(cleared);
-      savePuzzleState(currentDate, { date: currentDate, timer, started, paused, completed: false, grid: cleared.map((c) => c ? { userInput: c.userInput || "", status: c.status || "neutral" } : null) });
+      savePuzzleState(puzzleId, { id: puzzleId, timer, started, paused, completed: false, help: helpRef.current, autocheck: autocheckRef.current, history: historyRef.current, grid: savedCells(cleared) });
     }
   }
 
@@ -651,23 +1046,22 @@ export default function App() {
     // close celebration UI so it doesn't linger during route change
     setShowToast(false);
     setShowConfetti(false);
-    navigate("/random");
+    navigate(puzzlePath(type, "random"));
   }
 
-  function openClearModal() {
-    if (grid.length === 0) return;
-    // remember if timer was running; pause while modal is open
+  // remember if timer was running; pause while a modal is open
+  // (not in a room: the others keep solving)
+  function pauseForModal() {
+    if (roomId) return;
     resumeAfterModalRef.current = started && !paused && !completed;
     if (resumeAfterModalRef.current) {
       setPaused(true);
       persistState(grid, timer, started, true, completed);
     }
-    setShowClearModal(true);
   }
 
-  function closeClearModal() {
-    setShowClearModal(false);
-    // resume only if we were running before opening
+  // resume only if we were running before opening
+  function resumeAfterModal() {
     if (resumeAfterModalRef.current && !completed) {
       setPaused(false);
       persistState(grid, timer, started, false, completed);
@@ -675,53 +1069,236 @@ export default function App() {
     resumeAfterModalRef.current = false;
   }
 
-  // Clear only unchecked/incorrect/blank cells; keep correct
-  function clearErrors() {
-    const cleared = grid.map((c) => {
+  function openClearModal() {
+    if (grid.length === 0) return;
+    pauseForModal();
+    setShowClearModal(true);
+  }
+
+  function closeClearModal() {
+    setShowClearModal(false);
+    resumeAfterModal();
+  }
+
+  function openRandomModal() {
+    pauseForModal();
+    setShowRandomModal(true);
+  }
+
+  function closeRandomModal() {
+    setShowRandomModal(false);
+    resumeAfterModal();
+  }
+
+  function handleRandomSubmit(filters) {
+    setShowRandomModal(false);
+    resumeAfterModalRef.current = false; // leaving this puzzle; it stays paused
+    navigate(`${puzzlePath(type, "random")}${randomSearch(filters)}`);
+  }
+
+  // Upload an .ipuz file: the server normalizes it, then it's kept in this browser
+  async function handleIpuzFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // allow picking the same file again
+    if (!file) return;
+    try {
+      let doc;
+      try {
+        doc = JSON.parse(await file.text());
+      } catch {
+        throw new Error("That file isn't valid ipuz (JSON).");
+      }
+      const imported = await importIpuz(doc);
+      if (!saveImportedPuzzle(imported)) throw new Error("Couldn't save the puzzle in this browser.");
+      pauseForModal();
+      resumeAfterModalRef.current = false; // leaving this puzzle; it stays paused
+      navigate(`/imported/${imported.id}`);
+    } catch (err) {
+      alert(`Couldn't open ${file.name}: ${err.message || err}`);
+    }
+  }
+
+  // Copy of g with every cell that isn't correct cleared, or null if grading failed
+  async function keepCorrectOnly(g) {
+    let results;
+    try {
+      results = await gradeCells(g);
+    } catch (e) {
+      alert(`Couldn't check answers: ${e.message || e}`);
+      return null;
+    }
+    return g.map((c, i) => {
       if (!c) return null;
-      const exp = String(c.answer || "").toUpperCase();
-      const act = String(c.userInput || "").toUpperCase();
-      const correct = !!act && act === exp;
-      return correct ? c : { ...c, userInput: "", status: "neutral" };
+      return results[i] === "correct" ? c : { ...c, userInput: "", status: "neutral", pencil: false };
     });
+  }
+
+  // Clear only unchecked/incorrect/blank cells; keep correct
+  async function clearErrors() {
+    if (roomId) {
+      sendRoom({ t: "clear", mode: "errors" });
+      return closeClearModal();
+    }
+    const cleared = await keepCorrectOnly(grid);
+    if (!cleared) return closeClearModal();
     setGrid(cleared);
     // keep playing; puzzle is not completed after this
-    savePuzzleState(currentDate, {
-      date: currentDate,
+    savePuzzleState(puzzleId, {
+      id: puzzleId,
       timer,
       started,
       paused: true, // still paused until modal closes
       completed: false,
-      grid: cleared.map((c) => (c ? { userInput: c.userInput || "", status: c.status || "neutral" } : null)),
+      help: helpRef.current,
+      autocheck: autocheckRef.current,
+      history: historyRef.current,
+      grid: savedCells(cleared),
     });
     closeClearModal();
   }
 
-  // Clear everything and fully reset this date’s puzzle
+  // Clear everything and fully reset this puzzle
   function clearAll() {
-    const cleared = grid.map((c) => (c ? { ...c, userInput: "", status: "neutral" } : null));
+    if (roomId) {
+      sendRoom({ t: "clear", mode: "all" });
+      return closeClearModal();
+    }
+    const cleared = grid.map((c) => (c ? { ...c, userInput: "", status: "neutral", pencil: false } : null));
     setGrid(cleared);
     setTimer(0);
     setStarted(false);
     setPaused(false);
     setCompleted(false);
-    clearPuzzleState(currentDate);
-    savePuzzleState(currentDate, {
-      date: currentDate,
+    clearPuzzleState(puzzleId);
+    helpRef.current = {};
+    resetHistory();
+    restartRecording();
+    savePuzzleState(puzzleId, {
+      id: puzzleId,
       timer: 0,
       started: false,
       paused: false,
       completed: false,
+      help: {},
+      autocheck: autocheckRef.current,
+      history: EMPTY_HISTORY,
       grid: cleared.map((c) => (c ? { userInput: "", status: "neutral" } : null)),
     });
     closeClearModal();
   }
 
+  // ---- solve recording: what happened when, on the solve timer, for the replay page
+  // Events: start, pause, resume, complete, cursor { i, dir }, type { i, value },
+  // delete { i }, status { i, status }, check { kind } and reveal { kind }
+
+  // Stamp an event with the milliseconds on the solve timer (which only counts whole
+  // seconds); reads the clock through clockRef so it only changes with the puzzle
+  const record = useCallback((event) => {
+    if (!recording || !puzzleId || recordingRef.current.length >= MAX_RECORDED_EVENTS) return;
+    const { timer, playing } = clockRef.current;
+    const sinceTick = playing ? Math.min(999, Math.round(performance.now() - tickRef.current)) : 0;
+    recordingRef.current.push({ t: timer * 1000 + sinceTick, ...event });
+  }, [recording, puzzleId]);
+
+  // Recordings are saved on pause, on completion, when the tab is hidden and when
+  // leaving the puzzle, not on every change
+  const saveRecordingNow = useCallback(() => {
+    if (recording && puzzleId) saveRecording(puzzleId, recordingRef.current);
+  }, [recording, puzzleId]);
+
+  useEffect(() => {
+    if (!recording || !puzzleId) return;
+    const events = recordingRef.current;
+    return () => saveRecording(puzzleId, events);
+  }, [recording, puzzleId]);
+
+  // A fresh start (clearing everything resets the timer) begins a new recording
+  function restartRecording() {
+    recordingRef.current.length = 0;
+    recordGridRef.current = null;
+    saveRecordingNow();
+  }
+
+  // Letters and statuses, from whatever changed them (typing, clears, checks, undo…)
+  useEffect(() => {
+    const prev = puzzleId ? recordGridRef.current : null;
+    recordGridRef.current = puzzleId ? grid : null;
+    if (!prev || prev === grid || prev.length !== grid.length) return;
+    for (const { i, from, to } of diffGrids(prev, grid)) {
+      if (from.userInput !== to.userInput) record(to.userInput ? { type: "type", i, value: to.userInput } : { type: "delete", i });
+      if (from.status !== to.status) record({ type: "status", i, status: to.status });
+    }
+  }, [grid, puzzleId, record]);
+
+  useEffect(() => {
+    if (isPlaying && activeIndex != null) record({ type: "cursor", i: activeIndex, dir: direction });
+  }, [activeIndex, direction, isPlaying, record]);
+
+  // Start, pause/resume and completion; loading a puzzle isn't recorded
+  useEffect(() => {
+    const prev = puzzleId ? recordPlayRef.current : null;
+    recordPlayRef.current = puzzleId ? { started, paused, completed } : null;
+    if (!prev) return;
+    if (started && !prev.started) record({ type: "start" });
+    else if (started && paused !== prev.paused) record({ type: paused ? "pause" : "resume" });
+    if (completed && !prev.completed) record({ type: "complete" });
+    if ((paused && !prev.paused) || (completed && !prev.completed)) saveRecordingNow();
+  }, [puzzleId, started, paused, completed, record, saveRecordingNow]);
+
+  // Record every grid change (typing, clears, checks, reveals) as an undo step
+  // Undo and redo move historyGridRef along themselves, so they aren't recorded
+  useEffect(() => {
+    const prev = historyGridRef.current;
+    historyGridRef.current = grid;
+    if (roomId || !prev || prev === grid || prev.length !== grid.length) return;
+    const step = diffGrids(prev, grid);
+    if (step.length === 0) return;
+    historyRef.current = { past: [...historyRef.current.past, step].slice(-MAX_HISTORY), future: [] };
+    setHistoryVersion((v) => v + 1);
+    const { timer, started, paused, completed } = clockRef.current;
+    persistState(grid, timer, started, paused, completed);
+  }, [grid, roomId, persistState]);
+
+  // Resetting the puzzle (timer, help counts) starts a new history: undoing past the
+  // reset would bring back letters and reveals the fresh solve knows nothing about
+  function resetHistory() {
+    historyRef.current = EMPTY_HISTORY;
+    historyGridRef.current = null; // the cleared grid isn't a step either
+    setHistoryVersion((v) => v + 1);
+  }
+
+  const canUndo = !roomId && !completed && !(started && paused) && historyRef.current.past.length > 0;
+  const canRedo = !roomId && !completed && !(started && paused) && historyRef.current.future.length > 0;
+
+  function undo() {
+    if (!canUndo || rebusIndex != null) return;
+    const { past, future } = historyRef.current;
+    const step = past[past.length - 1];
+    historyRef.current = { past: past.slice(0, -1), future: [...future, step] };
+    moveInHistory(applyStep(grid, step, "from"));
+  }
+
+  function redo() {
+    if (!canRedo || rebusIndex != null) return;
+    const { past, future } = historyRef.current;
+    const step = future[future.length - 1];
+    historyRef.current = { past: [...past, step], future: future.slice(0, -1) };
+    moveInHistory(applyStep(grid, step, "to"));
+  }
+
+  function moveInHistory(next) {
+    historyGridRef.current = next;
+    setGrid(next);
+    setHistoryVersion((v) => v + 1);
+    persistState(next, timer, started, paused, completed);
+  }
+
   // Save current state if the tab is hidden/closed (so timer progress isn't lost)
   useEffect(() => {
     function persistNow() {
       // capture the latest state to storage
       persistState(grid, timer, started, paused, completed);
+      saveRecordingNow();
     }
     document.addEventListener("visibilitychange", persistNow);
     window.addEventListener("beforeunload", persistNow);
@@ -729,7 +1306,167 @@ export default function App() {
       document.removeEventListener("visibilitychange", persistNow);
       window.removeEventListener("beforeunload", persistNow);
     };
-  }, [grid, timer, started, paused, completed, persistState]);
+  }, [grid, timer, started, paused, completed, persistState, saveRecordingNow]);
+
+  // ---- co-op and race rooms (see server/rooms.js for the protocol)
+
+  // Open a room for this puzzle and move into it; the link can then be shared
+  async function startRoom(roomMode) {
+    try {
+      const room = await createRoom(type, currentDate, roomMode);
+      pauseForModal();
+      resumeAfterModalRef.current = false; // leaving this puzzle; it stays paused
+      navigate(`/room/${room.id}`);
+    } catch (e) {
+      alert(`Couldn't open a room: ${e.message || e}`);
+    }
+  }
+
+  function applyRoomTimer({ started: s, running, elapsedMs }) {
+    setStarted(s);
+    setPaused(s && !running);
+    setTimer(Math.floor(elapsedMs / 1000));
+  }
+
+  // Race state from the server; me is our clientId, to find our own result
+  // The race clock runs from startsAt, which is moved onto our clock using the
+  // server's "now", plus our penalties
+  function applyRace(r, me, penalty) {
+    const startsAt = r.startsAt == null ? null : r.startsAt - r.now + Date.now();
+    setRace({ ...r, startsAt });
+    const running = r.status === "running" || r.status === "finished";
+    setStarted(running);
+    setPaused(false);
+    const mine = r.results.find((x) => x.clientId === me);
+    if (mine?.ms != null) setTimer(Math.floor(mine.ms / 1000));
+    else if (running) setTimer(Math.floor((Date.now() - startsAt + penalty) / 1000));
+    else setTimer(0);
+  }
+
+  function handleRoomMessage(msg) {
+    switch (msg.t) {
+      case "state": {
+        // the room's grid, keeping edits made here that the server hasn't seen yet
+        // (typed while reconnecting); the sync effect sends those next
+        const { room } = msg;
+        const synced = syncedRef.current;
+        setGrid((prev) => prev.map((cell, i) => {
+          if (!cell) return null;
+          const unsent = cell.userInput !== (synced[i] ?? "") && !isLocked({ status: room.statuses[i] });
+          return { ...cell, userInput: unsent ? cell.userInput : room.entries[i], status: room.statuses[i] };
+        }));
+        syncedRef.current = [...room.entries];
+        if (room.race) {
+          setPenaltyMs(room.penaltyMs);
+          applyRace(room.race, msg.you || you, room.penaltyMs);
+        } else {
+          applyRoomTimer(room.timer);
+        }
+        setCompleted(room.completed);
+        setParticipants(room.participants);
+        if (msg.you) setYou(msg.you);
+        setRoomError("");
+        break;
+      }
+      case "input":
+        syncedRef.current[msg.index] = msg.value;
+        setGrid((prev) => prev.map((cell, i) =>
+          i === msg.index && cell ? { ...cell, userInput: msg.value, status: cell.status === "wrong" ? "neutral" : cell.status, pencil: false } : cell
+        ));
+        break;
+      case "revealed":
+        setGrid((prev) => prev.map((cell, i) => {
+          if (!cell || msg.answers[i] == null) return cell;
+          syncedRef.current[i] = msg.answers[i];
+          return { ...cell, userInput: msg.answers[i], status: "revealed", pencil: false };
+        }));
+        break;
+      case "statuses":
+        setGrid((prev) => prev.map((cell, i) => (cell && msg.statuses[i] ? { ...cell, status: msg.statuses[i] } : cell)));
+        break;
+      case "timer":
+        applyRoomTimer(msg.timer);
+        break;
+      case "race":
+        applyRace(msg.race, you, penaltyMs);
+        break;
+      case "progress":
+        setRace((r) => r && { ...r, progress: { ...r.progress, [msg.clientId]: msg.filled } });
+        break;
+      case "penalty":
+        setPenaltyMs(msg.penaltyMs);
+        setTimer((t) => t + Math.round(msg.added / 1000));
+        break;
+      case "cursor":
+        setParticipants((prev) => prev.map((p) =>
+          p.clientId === msg.clientId ? { ...p, index: msg.index, direction: msg.direction } : p
+        ));
+        break;
+      case "presence":
+        setParticipants(msg.participants);
+        break;
+      case "completed":
+        setRoomSolvedIn(msg.seconds);
+        break;
+      case "error":
+        setRoomError(msg.error);
+        break;
+    }
+  }
+
+  const { status: roomStatus, send: sendRoom } = useRoom(puzzleId ? roomId : null, handleRoomMessage);
+  const roomOpen = !!roomId && roomStatus === "open";
+
+  useEffect(() => {
+    if (roomSolvedIn == null) return;
+    setRoomSolvedIn(null);
+    finishPuzzle(grid, roomSolvedIn);
+  }, [roomSolvedIn, grid, finishPuzzle]);
+
+  // Send our edits: every cell whose entry differs from what the server last had
+  useEffect(() => {
+    if (!roomOpen || !you) return;
+    grid.forEach((cell, i) => {
+      if (!cell || cell.userInput === (syncedRef.current[i] ?? "")) return;
+      if (sendRoom({ t: "input", index: i, value: cell.userInput })) syncedRef.current[i] = cell.userInput;
+    });
+  }, [grid, roomOpen, you, sendRoom]);
+
+  // Share our cursor
+  useEffect(() => {
+    if (roomOpen && you) sendRoom({ t: "cursor", index: activeIndex, direction });
+  }, [activeIndex, direction, roomOpen, you, sendRoom]);
+
+  // Count down to the race start; the server says when it's actually on
+  useEffect(() => {
+    if (race?.status !== "countdown") {
+      setCountdown(null);
+      return;
+    }
+    const tick = () => setCountdown(Math.max(0, Math.ceil((race.startsAt - Date.now()) / 1000)));
+    tick();
+    const id = setInterval(tick, 200);
+    return () => clearInterval(id);
+  }, [race?.status, race?.startsAt]);
+
+  function renameInRoom(name) {
+    saveCoopName(name);
+    sendRoom({ t: "name", name });
+  }
+
+  // Other people's cursors for the grid: index -> { color, name, cursor },
+  // cursor being true on their cell and false on the rest of their word
+  const peerCells = useMemo(() => {
+    const cells = new Map();
+    for (const p of participants) {
+      if (p.clientId === you || !p.online || p.index == null) continue;
+      for (const i of (p.direction === "Down" ? indexToDown : indexToAcross).get(p.index) || []) {
+        if (!cells.get(i)?.cursor) cells.set(i, { color: p.color, name: p.name, cursor: false });
+      }
+      cells.set(p.index, { color: p.color, name: p.name, cursor: true });
+    }
+    return cells;
+  }, [participants, you, indexToAcross, indexToDown]);
 
   return (
     <main className="min-h-screen flex items-center justify-center bg-gray-50">
@@ -767,6 +1504,15 @@ export default function App() {
             >
               Scoreboard
             </button>
+            {recording && currentDate && (
+              <button
+                onClick={() => navigate(`${puzzlePath(type, currentDate)}/replay`)}
+                className="ml-2 rounded-lg px-2 py-1 text-sm border hover:bg-gray-100"
+                type="button"
+              >
+                Replay
+              </button>
+            )}
             <button
               onClick={() => setShowToast(false)}
               className="ml-2 rounded-lg px-2 py-1 text-sm border hover:bg-gray-100"
@@ -780,11 +1526,26 @@ export default function App() {
 
       {/* Render the card */}
       <div
-        className="relative w-full max-w-5xl lg:max-w-6xl xl:max-w-7xl 2xl:max-w-[90rem] min-h-[80vh] bg-white rounded-2xl shadow-lg overflow-hidden flex flex-col"
+        className="relative w-full max-w-5xl lg:max-w-6xl xl:max-w-7xl 2xl:max-w-[90rem] min-h-[80vh] max-h-screen bg-white rounded-2xl shadow-lg overflow-hidden flex flex-col"
         onKeyDown={(e) => {
-          if (!started || paused) return;
           const key = e.key || "";
-          if (/^[a-zA-Z]$/.test(key)) { e.preventDefault(); typeLetter(key); return; }
+          // Ctrl/Cmd+Z undoes, with Shift redoes (also after a clear, before restarting)
+          if ((e.ctrlKey || e.metaKey) && !e.altKey && key.toLowerCase() === "z") {
+            e.preventDefault();
+            if (e.shiftKey) redo();
+            else undo();
+            return;
+          }
+          if (!started || paused) return;
+          // any single character (letters, digits, symbols), but leave browser shortcuts alone
+          const printable = key.length === 1 && key !== " " && !e.ctrlKey && !e.metaKey && !e.altKey;
+          if (rebusIndex != null) {
+            if (printable) { e.preventDefault(); typeRebus(key); return; }
+            if (key === "Backspace") { e.preventDefault(); backspaceRebus(); return; }
+            if (["Enter", "Escape", "Insert", "Tab"].includes(key)) { e.preventDefault(); finishRebus(true); return; }
+          }
+          if (key === "Escape" || key === "Insert") { e.preventDefault(); startRebus(); return; }
+          if (printable) { e.preventDefault(); typeLetter(key); return; }
           if (["ArrowLeft", "ArrowRight", "ArrowUp", "ArrowDown"].includes(key)) { e.preventDefault(); moveByArrow(key); return; }
           if (key === "Backspace") { e.preventDefault(); handleBackspace(); return; }
           if (key === " " || key === "Tab" || key === "Enter") { e.preventDefault(); toggleDirection(); return; }
@@ -793,20 +1554,98 @@ export default function App() {
         }}
         tabIndex={0}
         role="application"
-        aria-label="Mini crossword"
+        aria-label={`${PUZZLE_TYPES[type].label} crossword`}
       >
         {/* HEADER */}
         <div className="px-6 py-4 border-b">
           <div className="flex items-center justify-between">
-            <Header date={currentDate} />
+            {importedId ? (
+              <Header
+                title={meta?.title || "Imported puzzle"}
+                date={meta?.constructors?.length ? `by ${meta.constructors.join(" / ")}` : null}
+              />
+            ) : (
+              <Header title={`${PUZZLE_TYPES[type].label} Crossword`} date={currentDate} />
+            )}
             <div className="flex items-center gap-4">
-              <button
-                type="button"
-                onClick={toggleTimer}
-                className="w-24 border px-4 py-1 rounded hover:bg-gray-100"
-              >
-                {!started ? "Start" : paused ? "Resume" : "Pause"}
-              </button>
+              <nav className="flex items-center gap-1 text-sm" aria-label="Puzzle type">
+                {Object.entries(PUZZLE_TYPES).map(([t, { label }]) => {
+                  const current = t === type && !importedId;
+                  return (
+                    <button
+                      key={t}
+                      type="button"
+                      onClick={() => navigate(puzzlePath(t))}
+                      className={`border px-3 py-1 rounded hover:bg-gray-100 ${current ? "bg-gray-100 font-semibold" : ""}`}
+                      aria-current={current ? "page" : undefined}
+                    >
+                      {label}
+                    </button>
+                  );
+                })}
+              </nav>
+              {puzzle && !answersHidden && !importedId && (
+                <div className="flex items-center gap-1 text-sm" title="Download this puzzle for Across Lite and other solving apps">
+                  <span className="text-gray-600 mr-1">Download</span>
+                  <a
+                    href={`/api/puzzle/${type}/${currentDate}.puz`}
+                    download={`nyt-${type}-${currentDate}.puz`}
+                    className="border px-3 py-1 rounded hover:bg-gray-100"
+                  >
+                    .puz
+                  </a>
+                  <a
+                    href={`/api/puzzle/${type}/${currentDate}.ipuz`}
+                    download={`nyt-${type}-${currentDate}.ipuz`}
+                    className="border px-3 py-1 rounded hover:bg-gray-100"
+                  >
+                    .ipuz
+                  </a>
+                </div>
+              )}
+              <div className="flex items-center gap-1 text-sm">
+                <button
+                  type="button"
+                  onClick={() => {
+                    setPencil((p) => !p);
+                    setTimeout(() => inputRefs.current[activeIndex]?.focus?.(), 0);
+                  }}
+                  className={`border px-3 py-1 rounded hover:bg-gray-100 ${pencil ? "bg-gray-100 border-gray-500 italic" : ""}`}
+                  aria-pressed={pencil}
+                  title="Type tentative letters in grey"
+                >
+                  Pencil
+                </button>
+                {hasPencil && (
+                  <button
+                    type="button"
+                    onClick={inkAll}
+                    className="border px-3 py-1 rounded hover:bg-gray-100"
+                    title="Turn every pencil letter into pen"
+                  >
+                    Ink all
+                  </button>
+                )}
+              </div>
+              {racing ? (
+                <button
+                  type="button"
+                  onClick={toggleTimer}
+                  disabled={race?.status !== "waiting" || !roomOpen}
+                  className="w-28 border px-4 py-1 rounded hover:bg-gray-100 disabled:opacity-50"
+                  title="Starts a countdown for everyone in the room"
+                >
+                  {!race || race.status === "waiting" ? "Start race" : race.status === "countdown" ? "Get ready" : "Racing"}
+                </button>
+              ) : (
+                <button
+                  type="button"
+                  onClick={toggleTimer}
+                  className="w-24 border px-4 py-1 rounded hover:bg-gray-100"
+                >
+                  {!started ? "Start" : paused ? "Resume" : "Pause"}
+                </button>
+              )}
               <span className="text-lg font-mono tabular-nums leading-none">
                 {formatTime(timer)}
               </span>
@@ -814,33 +1653,103 @@ export default function App() {
           </div>
         </div>
 
+        {roomId && (
+          <RoomBar
+            participants={participants}
+            you={you}
+            status={roomStatus}
+            error={roomError}
+            onRename={renameInRoom}
+          />
+        )}
+        {racing && (
+          <RaceBoard race={race} participants={participants} you={you} grid={grid} cols={cols} penaltyMs={penaltyMs} />
+        )}
+
         {/* MAIN */}
-        <div className="flex flex-1 overflow-hidden gap-6 xl:gap-10">
-          {/* LEFT: grid area */}
-          <div className="flex-1 flex items-center justify-center p-6 overflow-auto">
-            {error ? (
-              <div className="text-center space-y-4">
-                <p className="text-red-600">{error}</p>
-                <div className="flex justify-center gap-3">
-                  <button type="button" onClick={() => navigate("/2014-08-21")} className="border px-3 py-1 rounded hover:bg-gray-100">Go to first available</button>
-                  <button type="button" onClick={() => navigate(`/${todayISO()}`)} className="border px-3 py-1 rounded hover:bg-gray-100">Go to today</button>
-                  <button type="button" onClick={() => navigate("/random")} className="border px-3 py-1 rounded hover:bg-gray-100">Random</button>
-                </div>
+        <div className="flex flex-1 min-h-0 overflow-hidden gap-6 xl:gap-10">
+          {/* LEFT: grid area; a size container so the grid can fit itself to it,
+              centered with m-auto so a zoomed grid scrolls instead of being clipped */}
+          <div className="relative flex-1 min-w-0 flex">
+            <div className="flex-1 flex p-6 overflow-auto [container-type:size]">
+              <div className="m-auto">
+                {notReleased ? (
+                  <ReleaseCountdown
+                    date={notReleased.date}
+                    releaseAt={notReleased.releaseAt}
+                    onReleased={handleReleased}
+                  >
+                    <div className="flex justify-center gap-3">
+                      {notReleased.lastAvailable && (
+                        <button type="button" onClick={() => navigate(puzzlePath(type, notReleased.lastAvailable))} className="border px-3 py-1 rounded hover:bg-gray-100">Play the latest puzzle</button>
+                      )}
+                      <button type="button" onClick={() => navigate(puzzlePath(type, "random"))} className="border px-3 py-1 rounded hover:bg-gray-100">Random</button>
+                    </div>
+                  </ReleaseCountdown>
+                ) : error ? (
+                  <div className="text-center space-y-4">
+                    <p className="text-red-600">{error}</p>
+                    <div className="flex justify-center gap-3">
+                      <button type="button" onClick={() => navigate(puzzlePath(type, PUZZLE_TYPES[type].firstDate))} className="border px-3 py-1 rounded hover:bg-gray-100">Go to first available</button>
+                      <button type="button" onClick={() => navigate(puzzlePath(type))} className="border px-3 py-1 rounded hover:bg-gray-100">Go to today</button>
+                      <button type="button" onClick={() => navigate(puzzlePath(type, "random"))} className="border px-3 py-1 rounded hover:bg-gray-100">Random</button>
+                    </div>
+                  </div>
+                ) : (
+                  <CrosswordGrid
+                    grid={grid}
+                    cols={cols}
+                    rows={rows}
+                    onInput={handleInput}
+                    activeIndex={activeIndex}
+                    setActiveIndex={setActiveIndex}
+                    direction={direction}
+                    inputRefs={inputRefs}
+                    activeWordSet={activeWordSet}
+                    onCellClick={handleCellClick}
+                    disabled={!isPlaying}
+                    zoom={zoom}
+                    rebusIndex={rebusIndex}
+                    peers={peerCells}
+                  />
+                )}
+              </div>
+            </div>
+            {countdown != null && (
+              <div className="absolute inset-0 z-30 flex items-center justify-center bg-white/70 pointer-events-none" role="status" aria-live="assertive">
+                <span className="text-7xl font-bold tabular-nums">{countdown || "Go!"}</span>
+              </div>
+            )}
+            {/* zoom controls for grids bigger than a mini, outside the scrolling area */}
+            {puzzle && Math.max(rows, cols) > PUZZLE_TYPES.mini.maxSize && (
+              <div className="absolute top-2 right-2 z-20 flex gap-1 text-sm" aria-label="Zoom">
+                <button
+                  type="button"
+                  onClick={() => setZoom((z) => Math.max(MIN_ZOOM, z - ZOOM_STEP))}
+                  disabled={zoom <= MIN_ZOOM}
+                  className="border px-3 py-1 rounded bg-white hover:bg-gray-100 disabled:opacity-50"
+                  aria-label="Zoom out"
+                >
+                  −
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setZoom(1)}
+                  className="border px-3 py-1 rounded bg-white hover:bg-gray-100 font-mono tabular-nums"
+                  title="Fit the grid"
+                >
+                  {Math.round(zoom * 100)}%
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setZoom((z) => Math.min(MAX_ZOOM, z + ZOOM_STEP))}
+                  disabled={zoom >= MAX_ZOOM}
+                  className="border px-3 py-1 rounded bg-white hover:bg-gray-100 disabled:opacity-50"
+                  aria-label="Zoom in"
+                >
+                  +
+                </button>
               </div>
-            ) : (
-              <CrosswordGrid
-                grid={grid}
-                cols={cols}
-                rows={rows}
-                onInput={handleInput}
-                activeIndex={activeIndex}
-                setActiveIndex={setActiveIndex}
-                direction={direction}
-                inputRefs={inputRefs}
-                activeWordSet={activeWordSet}
-                onCellClick={handleCellClick}
-                disabled={!isPlaying}
-              />
             )}
           </div>
 
@@ -855,7 +1764,9 @@ export default function App() {
                 activeClueKey={activeClueKey}
               />
             ) : (
-              <div className="text-gray-500 italic">Press start to reveal the clues…</div>
+              <div className="text-gray-500 italic">
+                {racing ? "The clues appear when the race starts…" : "Press start to reveal the clues…"}
+              </div>
             )}
           </aside>
         </div>
@@ -863,16 +1774,79 @@ export default function App() {
         {/* FOOTER — left: Clear, center: Check Answers */}
         <div className="px-6 py-4 border-t">
           <Footer>
+            <div className="flex gap-2">
+              {!racing && (
+                <button
+                  type="button"
+                  onClick={openClearModal}
+                  className="border px-3 py-1 rounded hover:bg-gray-100"
+                >
+                  Clear
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={undo}
+                disabled={!canUndo}
+                className="border px-3 py-1 rounded hover:bg-gray-100 disabled:opacity-50"
+                aria-label="Undo"
+                title="Undo (Ctrl/Cmd+Z)"
+              >
+                ↶
+              </button>
+              <button
+                type="button"
+                onClick={redo}
+                disabled={!canRedo}
+                className="border px-3 py-1 rounded hover:bg-gray-100 disabled:opacity-50"
+                aria-label="Redo"
+                title="Redo (Shift+Ctrl/Cmd+Z)"
+              >
+                ↷
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  if (rebusIndex != null) finishRebus(true);
+                  else startRebus();
+                  setTimeout(() => inputRefs.current[activeIndex]?.focus?.(), 0);
+                }}
+                disabled={!isPlaying}
+                className={`border px-3 py-1 rounded hover:bg-gray-100 disabled:opacity-50 ${rebusIndex != null ? "bg-amber-50 border-amber-400" : ""}`}
+                aria-pressed={rebusIndex != null}
+                title="Enter several letters in one square (Esc or Insert)"
+              >
+                Rebus
+              </button>
+              <ActionMenu
+                label={autocheck ? "Check · auto" : "Check"}
+                disabled={!isPlaying}
+                title={racing ? "Check letters (+10s each time)" : "Check letters; the solve then counts as assisted"}
+                items={[
+                  { label: "Square", onClick: () => checkAnswers("checkSquare") },
+                  { label: "Word", onClick: () => checkAnswers("checkWord") },
+                  {
+                    label: autocheck ? "Autocheck: on" : "Autocheck: off",
+                    onClick: toggleAutocheck,
+                    disabled: !!roomId,
+                    title: roomId ? "Not available in rooms" : "Mark wrong letters as soon as they're typed",
+                  },
+                ]}
+              />
+              <ActionMenu
+                label="Reveal"
+                disabled={!isPlaying}
+                title={racing ? "Fill in answers (+30s per square)" : "Fill in answers; the solve then counts as assisted"}
+                items={[
+                  { label: "Square", onClick: () => reveal("revealSquare") },
+                  { label: "Word", onClick: () => reveal("revealWord") },
+                  { label: "Puzzle", onClick: () => reveal("revealPuzzle") },
+                ]}
+              />
+            </div>
             <button
               type="button"
-              onClick={openClearModal}
-              className="border px-3 py-1 rounded hover:bg-gray-100"
-            >
-              Clear
-            </button>
-            <button
-              type="button"
-              onClick={checkAnswers}
+              onClick={() => checkAnswers("checkPuzzle")}
               disabled={!started || paused || completed}
               className="bg-blue-600 text-white px-6 py-2 rounded font-semibold hover:bg-blue-700 disabled:opacity-50"
             >
@@ -881,11 +1855,53 @@ export default function App() {
             <div className="flex gap-2">
               <button
                 type="button"
-                onClick={() => navigate("/random")}
+                onClick={() => ipuzInputRef.current?.click()}
+                className="border px-3 py-1 rounded hover:bg-gray-100"
+                title="Solve a crossword from an .ipuz file"
+              >
+                Open .ipuz
+              </button>
+              <input
+                ref={ipuzInputRef}
+                type="file"
+                accept=".ipuz,application/json"
+                onChange={handleIpuzFile}
+                className="hidden"
+              />
+              {puzzle && !importedId && !roomId && (
+                <>
+                  <button
+                    type="button"
+                    onClick={() => startRoom("coop")}
+                    className="border px-3 py-1 rounded hover:bg-gray-100"
+                    title="Solve this puzzle together with others"
+                  >
+                    Co-op
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => startRoom("race")}
+                    className="border px-3 py-1 rounded hover:bg-gray-100"
+                    title="Race others on this puzzle"
+                  >
+                    Race
+                  </button>
+                </>
+              )}
+              <button
+                type="button"
+                onClick={openRandomModal}
                 className="border px-3 py-1 rounded hover:bg-gray-100"
               >
                 Random
               </button>
+              <button
+                type="button"
+                onClick={() => navigate(currentDate && !importedId ? `/archive?month=${currentDate.slice(0, 7)}` : "/archive")}
+                className="border px-3 py-1 rounded hover:bg-gray-100"
+              >
+                Archive
+              </button>
               <button
                 type="button"
                 onClick={() => navigate("/scoreboard")}
@@ -903,6 +1919,12 @@ export default function App() {
           onClearAll={clearAll}
           disabledClearErrors={completed || isAllCorrect(grid)}
         />
+        <RandomPuzzleModal
+          open={showRandomModal}
+          onClose={closeRandomModal}
+          onSubmit={handleRandomSubmit}
+          type={type}
+        />
       </div>
     </main>
   );
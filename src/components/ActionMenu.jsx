@@ -0,0 +1,61 @@
+// components/ActionMenu.jsx
+// Footer button that opens a short list of related actions above it
+// (e.g. Reveal: Square / Word / Puzzle)
+import React from "react";
+
+// items: [{ label, onClick, disabled?, title? }]
+export default function ActionMenu({ label, items, disabled = false, title }) {
+  const [open, setOpen] = React.useState(false);
+  const ref = React.useRef(null);
+
+  // close on a click anywhere else
+  React.useEffect(() => {
+    if (!open) return;
+    function onPointerDown(e) {
+      if (!ref.current?.contains(e.target)) setOpen(false);
+    }
+    document.addEventListener("pointerdown", onPointerDown);
+    return () => document.removeEventListener("pointerdown", onPointerDown);
+  }, [open]);
+
+  React.useEffect(() => {
+    if (disabled) setOpen(false);
+  }, [disabled]);
+
+  return (
+    <div ref={ref} className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen((o) => !o)}
+        disabled={disabled}
+        className="border px-3 py-1 rounded hover:bg-gray-100 disabled:opacity-50"
+        aria-haspopup="menu"
+        aria-expanded={open}
+        title={title}
+      >
+        {label} ▾
+      </button>
+      {open && (
+        <ul role="menu" className="absolute bottom-full left-0 mb-1 z-30 min-w-[9rem] bg-white border rounded shadow-lg py-1 text-sm">
+          {items.map((item) => (
+            <li key={item.label} role="none">
+              <button
+                type="button"
+                role="menuitem"
+                disabled={item.disabled}
+                title={item.title}
+                onClick={() => {
+                  setOpen(false);
+                  item.onClick();
+                }}
+                className="w-full text-left px-3 py-1 hover:bg-gray-100 disabled:opacity-50"
+              >
+                {item.label}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,184 @@
+// components/ArchiveCalendar.jsx
+import React from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { loadScores, loadPuzzleState } from "../utils/scoreStorage";
+import { latestPuzzleDate } from "../../shared/dates.mjs";
+
+const DAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const STATUS_STYLES = {
+  solved: "bg-green-50 border-green-300",
+  progress: "bg-yellow-50 border-yellow-300",
+  unsolved: "bg-white",
+};
+
+function format(seconds) {
+  const m = String(Math.floor(seconds / 60)).padStart(2, "0");
+  const s = String(seconds % 60).padStart(2, "0");
+  return `${m}:${s}`;
+}
+
+// yyyy-mm for the month n months after the given one (n may be negative)
+function shiftMonth(month, n) {
+  const [y, m] = month.split("-").map(Number);
+  const d = new Date(y, m - 1 + n, 1);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+}
+
+// "solved", "progress" or "unsolved" for a date, from the scoreboard and saved state
+function dayStatus(date, bestTimes) {
+  if (bestTimes.has(date)) return "solved";
+  const state = loadPuzzleState(date);
+  if (state?.completed) return "solved";
+  if (state && (state.started || state.grid?.some((c) => c?.userInput))) return "progress";
+  return "unsolved";
+}
+
+export default function ArchiveCalendar() {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const month = /^\d{4}-\d{2}$/.test(searchParams.get("month") || "") ? searchParams.get("month") : latestPuzzleDate().slice(0, 7);
+
+  const [index, setIndex] = React.useState(null);
+  const [error, setError] = React.useState("");
+
+  const bestTimes = React.useMemo(
+    // clean solves only; assisted ones show as solved without a time
+    () => new Map(loadScores().filter((s) => typeof s.seconds === "number").map((s) => [s.date, s.seconds])),
+    []
+  );
+
+  React.useEffect(() => {
+    let cancelled = false;
+    setIndex(null);
+    setError("");
+    fetch(`/api/puzzle/v1/mini/month/${month}.json`)
+      .then(async (res) => {
+        const json = await res.json().catch(() => null);
+        if (!res.ok) throw new Error(json?.error || `HTTP ${res.status}`);
+        return json;
+      })
+      .then((json) => { if (!cancelled) setIndex(json); })
+      .catch((e) => { if (!cancelled) setError(String(e.message || e)); });
+    return () => { cancelled = true; };
+  }, [month]);
+
+  function goToMonth(next) {
+    setSearchParams({ month: next });
+  }
+
+  const [y, m] = month.split("-").map(Number);
+  const title = new Date(y, m - 1, 1).toLocaleDateString("en-US", { month: "long", year: "numeric" });
+  const leadingBlanks = new Date(y, m - 1, 1).getDay();
+  const canGoBack = !index || month > index.first.slice(0, 7);
+  const canGoForward = !index || month < index.today.slice(0, 7);
+
+  return (
+    <main className="min-h-screen flex items-center justify-center bg-gray-50">
+      <div className="relative w-full max-w-5xl lg:max-w-6xl xl:max-w-7xl 2xl:max-w-[90rem] min-h-[60vh] bg-white rounded-2xl shadow-lg overflow-hidden flex flex-col">
+        {/* HEADER */}
+        <div className="px-6 py-4 border-b flex items-center justify-between">
+          <h1 className="text-2xl font-bold">Archive</h1>
+          <div className="flex items-center gap-3">
+            <button
+              type="button"
+              onClick={() => navigate(-1)}
+              className="border px-3 py-1 rounded hover:bg-gray-100"
+              title="Back"
+            >
+              ← Back
+            </button>
+            <button
+              type="button"
+              onClick={() => navigate("/scoreboard")}
+              className="border px-3 py-1 rounded hover:bg-gray-100"
+            >
+              Scoreboard
+            </button>
+          </div>
+        </div>
+
+        {/* BODY */}
+        <div className="p-6 flex-1 overflow-auto">
+          <div className="flex items-center justify-between mb-4">
+            <button
+              type="button"
+              onClick={() => goToMonth(shiftMonth(month, -1))}
+              disabled={!canGoBack}
+              className="border px-3 py-1 rounded hover:bg-gray-100 disabled:opacity-50"
+              aria-label="Previous month"
+            >
+              ←
+            </button>
+            <h2 className="text-lg font-semibold">{title}</h2>
+            <button
+              type="button"
+              onClick={() => goToMonth(shiftMonth(month, 1))}
+              disabled={!canGoForward}
+              className="border px-3 py-1 rounded hover:bg-gray-100 disabled:opacity-50"
+              aria-label="Next month"
+            >
+              →
+            </button>
+          </div>
+
+          {error ? (
+            <p className="text-red-600 text-center">{error}</p>
+          ) : !index ? (
+            <div className="text-gray-500 italic text-center">Loading…</div>
+          ) : (
+            <div className="grid grid-cols-7 gap-2 text-sm">
+              {DAYS.map((d) => (
+                <div key={d} className="text-center font-semibold text-gray-600">{d}</div>
+              ))}
+              {Array.from({ length: leadingBlanks }, (_, i) => <div key={`blank-${i}`} />)}
+              {index.days.map((day) => {
+                const dayNumber = Number(day.date.slice(8));
+                if (!day.available) {
+                  return (
+                    <div key={day.date} className="border rounded-lg p-2 min-h-20 text-gray-300">
+                      {dayNumber}
+                    </div>
+                  );
+                }
+                const status = dayStatus(day.date, bestTimes);
+                const stored = [day.cached && "cached", day.archived && "archived"].filter(Boolean).join(", ");
+                return (
+                  <button
+                    key={day.date}
+                    type="button"
+                    onClick={() => navigate(`/${day.date}`)}
+                    className={`border rounded-lg p-2 min-h-20 text-left flex flex-col hover:bg-gray-100 ${STATUS_STYLES[status]}`}
+                    title={`Open ${day.date}${stored ? ` (${stored})` : ""}`}
+                  >
+                    <span className="flex items-center justify-between">
+                      <span className="font-semibold">{dayNumber}</span>
+                      {stored && <span className="text-gray-400" aria-label={stored}>●</span>}
+                    </span>
+                    {day.size && (
+                      <span className="text-xs text-gray-500">{day.size.rows}×{day.size.cols}</span>
+                    )}
+                    <span className="mt-auto text-xs">
+                      {status === "solved" && (bestTimes.has(day.date)
+                        ? <span className="font-mono tabular-nums">✓ {format(bestTimes.get(day.date))}</span>
+                        : "✓ Solved")}
+                      {status === "progress" && "In progress"}
+                    </span>
+                  </button>
+                );
+              })}
+            </div>
+          )}
+        </div>
+
+        {/* FOOTER — legend */}
+        <div className="px-6 py-4 border-t flex flex-wrap items-center gap-4 text-sm text-gray-600">
+          <span className="flex items-center gap-2"><span className={`inline-block w-4 h-4 border rounded ${STATUS_STYLES.solved}`} /> Solved, with best time</span>
+          <span className="flex items-center gap-2"><span className={`inline-block w-4 h-4 border rounded ${STATUS_STYLES.progress}`} /> In progress</span>
+          <span className="flex items-center gap-2"><span className={`inline-block w-4 h-4 border rounded ${STATUS_STYLES.unsolved}`} /> Not started</span>
+          <span className="flex items-center gap-2"><span className="text-gray-400">●</span> Stored on the server (cached or archived)</span>
+        </div>
+      </div>
+    </main>
+  );
+}
@@ -1,4 +1,19 @@
-import React, { useMemo } from "react";
+import React, { useEffect, useMemo, useRef } from "react";
+
+const keyOf = (ref) => `${ref.direction}:${ref.label}`;
+
+// Clue text with its formatting runs (italics, bold, sub/superscript), or plain text
+function renderClueText(clue) {
+  if (!clue.runs) return clue.clue;
+  return clue.runs.map((run, i) => {
+    let node = run.text;
+    if (run.sub) node = <sub>{node}</sub>;
+    if (run.sup) node = <sup>{node}</sup>;
+    if (run.bold) node = <b>{node}</b>;
+    if (run.italic) node = <i>{node}</i>;
+    return <React.Fragment key={i}>{node}</React.Fragment>;
+  });
+}
 
 function ClueList({
   clues,
@@ -7,6 +22,26 @@ function ClueList({
   activeWordSet,
   activeClueKey,
 }) {
+  const listRef = useRef(null);
+
+  // Keep the active clue visible in the sidebar (daily clue lists are long)
+  useEffect(() => {
+    listRef.current?.querySelector('[aria-current="true"]')?.scrollIntoView({ block: "nearest" });
+  }, [activeClueKey]);
+
+  // Clues cross-referenced with the active one, in either direction
+  // ("See 3-Down" on the active clue, or 3-Down saying "See 1-Across")
+  const relatedKeys = useMemo(() => {
+    const related = new Set();
+    if (!activeClueKey) return related;
+    for (const clue of clues || []) {
+      const refs = (clue.refs || []).map(keyOf);
+      if (keyOf(clue) === activeClueKey) refs.forEach((k) => related.add(k));
+      else if (refs.includes(activeClueKey)) related.add(keyOf(clue));
+    }
+    return related;
+  }, [clues, activeClueKey]);
+
   if (!clues) return null;
 
   // stable across/down arrays
@@ -22,8 +57,9 @@ function ClueList({
       <h2 className="font-bold mb-1">{title}</h2>
       <ul className="space-y-0.5">
         {items.map((clue) => {
-          const key = `${clue.direction}:${clue.label}`;
+          const key = keyOf(clue);
           const isActive = key === activeClueKey;
+          const isRelated = relatedKeys.has(key);
           return (
             <li key={key}>
               <button
@@ -32,11 +68,13 @@ function ClueList({
                 className={[
                   "w-full text-left rounded px-2 py-1 hover:bg-gray-100 transition-colors",
                   isActive ? "bg-yellow-50 ring-1 ring-yellow-300" : "",
+                  isRelated ? "bg-blue-50 ring-1 ring-blue-200" : "",
                 ].join(" ")}
                 aria-current={isActive ? "true" : "false"}
+                aria-description={isRelated ? "Cross-referenced with the current clue" : undefined}
               >
                 <strong className="mr-1">{clue.label}</strong>
-                <span className="text-gray-700">{clue.clue}</span>
+                <span className="text-gray-700">{renderClueText(clue)}</span>
               </button>
             </li>
           );
@@ -46,7 +84,7 @@ function ClueList({
   );
 
   return (
-    <div className="text-sm space-y-4">
+    <div ref={listRef} className="text-sm space-y-4">
       <ClueBlock title="Across" items={across} />
       <ClueBlock title="Down" items={down} />
     </div>
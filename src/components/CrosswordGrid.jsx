@@ -1,4 +1,22 @@
 import React from "react";
+import { MAX_ENTRY_LENGTH } from "../../shared/entries.mjs";
+
+// Grids wider or taller than this are drawn with hairline gaps
+const LARGE_GRID = 10;
+
+// Thick borders for barred cells (themed grids); one class per side
+const BAR_CLASSES = {
+  top: "border-t-[3px]",
+  right: "border-r-[3px]",
+  bottom: "border-b-[3px]",
+  left: "border-l-[3px]",
+};
+
+// Font size for a cell's entry; multi-letter (rebus) entries shrink to fit the square
+function entryFontSize(length) {
+  const scale = length > 1 ? Math.min(1, 1.8 / length) : 1;
+  return `calc(min(1.25rem, calc(var(--cell) * 0.6)) * ${scale})`;
+}
 
 export default function CrosswordGrid({
   grid,
@@ -12,11 +30,19 @@ export default function CrosswordGrid({
   activeWordSet,
   onCellClick,
   disabled = false,
+  zoom = 1,
+  rebusIndex = null,
+  peers = null, // co-op: Map of index -> { color, name, cursor } for other people's words
 }) {
   if (!grid || grid.length === 0) return null;
 
+  // Cells fit the grid's container (100cqmin; the viewport when there is none),
+  // then scale by zoom; the container scrolls when a zoomed grid overflows it
+  const span = Math.max(cols, rows);
+  const large = span > LARGE_GRID;
+  const gap = large ? 1 : 4;
   const style = {
-    "--cell": `clamp(32px, calc(80vmin / ${cols}), 64px)`,
+    "--cell": `calc(clamp(24px, calc((100cqmin - ${(span - 1) * gap}px) / ${span}), 64px) * ${zoom})`,
     gridTemplateColumns: `repeat(${cols}, var(--cell))`,
   };
 
@@ -24,15 +50,24 @@ export default function CrosswordGrid({
     <div className="relative">
       {/* Put the cells INSIDE the grid container so they inherit --cell and layout */}
       <div
-        className={`grid gap-1 ${disabled ? "pointer-events-none opacity-75" : ""}`}
+        className={`grid ${large ? "gap-px" : "gap-1"} ${disabled ? "pointer-events-none opacity-75" : ""}`}
         style={style}
       >
         {grid.map((cell, i) => {
-          const isPlayable = !!(cell && typeof cell.answer === "string");
+          const isPlayable = !!cell;
           const isActive = i === activeIndex;
           const inActiveWord = activeWordSet?.has(i);
           const status = cell?.status || "neutral";
-          const locked = status === "correct";
+          const locked = status === "correct" || status === "revealed";
+          const inRebus = i === rebusIndex;
+          const peer = peers?.get(i);
+          // someone else's cursor gets an inset outline in their colour, their word a tint
+          const peerStyle = peer && !isActive
+            ? {
+              boxShadow: peer.cursor ? `inset 0 0 0 2px ${peer.color}` : undefined,
+              backgroundColor: status === "neutral" && !inActiveWord ? `${peer.color}1f` : undefined,
+            }
+            : undefined;
 
           return (
             <div key={i} className="w-[var(--cell)] aspect-square relative">
@@ -46,33 +81,59 @@ export default function CrosswordGrid({
                   className={[
                     "absolute inset-0 border flex items-center justify-center transition-shadow",
                     status === "neutral" && inActiveWord ? "bg-yellow-50/70" : "",
-                    isActive ? "ring-2 ring-blue-500" : "",
-                    status === "correct" ? "bg-gray-200 text-black" : "",
+                    isActive ? `ring-2 z-10 ${inRebus ? "ring-amber-500" : "ring-blue-500"}` : "",
+                    locked ? "bg-gray-200 text-black" : "",
                     status === "wrong" ? "bg-red-300 text-white" : "",
                     status === "neutral" && !inActiveWord ? "bg-white text-black" : "",
                     (disabled || locked) ? "cursor-not-allowed" : "",
                   ].join(" ")}
                   aria-disabled={disabled || locked ? "true" : "false"}
-                  aria-label={`Cell ${i}`}
+                  aria-label={`Cell ${i}${cell.circled ? ", circled" : ""}${cell.shaded ? ", shaded" : ""}${cell.pencil && cell.userInput ? ", pencil" : ""}${status === "revealed" ? ", revealed" : ""}`}
                   aria-current={isActive ? "true" : "false"}
+                  style={peerStyle}
+                  title={peer?.cursor ? peer.name : undefined}
                 >
+                  {/* theme styling from the puzzle, drawn under the letter */}
+                  {cell.shaded && (
+                    <div className="absolute inset-0 bg-gray-500/25 pointer-events-none" aria-hidden="true" />
+                  )}
+                  {cell.circled && (
+                    <div className="absolute inset-0.5 rounded-full border border-gray-600 pointer-events-none" aria-hidden="true" />
+                  )}
+                  {cell.bars?.length > 0 && (
+                    <div
+                      className={`absolute inset-0 border-black pointer-events-none ${cell.bars.map((side) => BAR_CLASSES[side]).join(" ")}`}
+                      aria-hidden="true"
+                    />
+                  )}
+                  {/* revealed: a red triangle in the top-right corner, as on the NYT site */}
+                  {status === "revealed" && (
+                    <div
+                      className="absolute top-0 right-0 w-[30%] h-[30%] bg-red-600 [clip-path:polygon(0_0,100%_0,100%_100%)] pointer-events-none"
+                      aria-hidden="true"
+                    />
+                  )}
                   {cell.label && (
-                    <div className="absolute top-0 left-0 text-[10px] text-gray-500 p-0.5 select-none">
+                    <div
+                      className="absolute top-0 left-0 text-gray-500 p-0.5 leading-none select-none"
+                      style={{ fontSize: "min(10px, calc(var(--cell) * 0.3))" }}
+                    >
                       {cell.label}
                     </div>
                   )}
                   <input
                     ref={(el) => (inputRefs.current[i] = el)}
                     className={[
-                      "w-full h-full text-xl text-center focus:outline-none bg-transparent",
-                      status === "wrong" ? "text-white" : "text-black",
+                      "relative w-full h-full text-center focus:outline-none bg-transparent",
+                      status === "wrong" ? "text-white" : cell.pencil ? "text-gray-500 italic" : "text-black",
                     ].join(" ")}
-                    maxLength={1}
+                    style={{ fontSize: entryFontSize(cell.userInput.length) }}
+                    maxLength={inRebus ? MAX_ENTRY_LENGTH : 1}
                     value={cell.userInput}
                     onChange={(e) => !(disabled || locked) && onInput(i, e.target.value)}
                     tabIndex={(disabled || locked) ? -1 : (isActive ? 0 : -1)}
                     readOnly={disabled || locked}
-                    aria-label={`Letter input for cell ${i}`}
+                    aria-label={inRebus ? `Rebus entry for cell ${i}` : `Letter input for cell ${i}`}
                   />
                 </button>
               ) : (
@@ -1,9 +1,9 @@
 import React from "react";
 
-export default function Header({ date }) {
+export default function Header({ title = "Mini Crossword", date }) {
   return (
     <div>
-      <h1 className="text-2xl font-bold leading-tight">Mini Crossword</h1>
+      <h1 className="text-2xl font-bold leading-tight">{title}</h1>
       {date && (
         <p className="text-sm text-gray-600">{date}</p>
       )}
@@ -0,0 +1,83 @@
+// components/RaceBoard.jsx
+// Race room strip: each opponent's grid as a blurred thumbnail (which squares are
+// filled, never the letters) and the results as people finish; racers who left
+// before finishing are listed last as DNF
+import React from "react";
+
+// Race time as m:ss.t
+function formatRaceTime(ms) {
+  const tenths = Math.floor(ms / 100);
+  const m = Math.floor(tenths / 600);
+  const s = String(Math.floor(tenths / 10) % 60).padStart(2, "0");
+  return `${m}:${s}.${tenths % 10}`;
+}
+
+function MiniProgress({ grid, cols, filled, color }) {
+  const set = new Set(filled);
+  return (
+    <div
+      className="grid gap-px blur-[1.5px]"
+      style={{ gridTemplateColumns: `repeat(${cols}, 6px)` }}
+      aria-hidden="true"
+    >
+      {grid.map((cell, i) => (
+        <div
+          key={i}
+          className="w-[6px] h-[6px]"
+          style={{ backgroundColor: !cell ? "#000" : set.has(i) ? color : "#e5e7eb" }}
+        />
+      ))}
+    </div>
+  );
+}
+
+export default function RaceBoard({ race, participants, you, grid, cols, penaltyMs }) {
+  if (!race) return null;
+  const playable = grid.filter(Boolean).length;
+  const opponents = participants.filter((p) => p.clientId !== you);
+  const results = race.results || [];
+
+  return (
+    <div className="px-6 py-2 border-b flex flex-wrap items-start gap-6 text-sm">
+      {opponents.length === 0 ? (
+        <span className="text-gray-500 italic self-center">Waiting for someone to race… share the link.</span>
+      ) : (
+        <ul className="flex flex-wrap gap-4" aria-label="Opponents">
+          {opponents.map((p) => {
+            const filled = race.progress?.[p.clientId] || [];
+            const result = results.find((r) => r.clientId === p.clientId);
+            return (
+              <li key={p.clientId} className={`flex items-center gap-2 ${p.online ? "" : "opacity-50"}`}>
+                <MiniProgress grid={grid} cols={cols} filled={filled} color={p.color} />
+                <div>
+                  <div className="font-medium">{p.name}</div>
+                  <div className="text-gray-600">
+                    {result?.dnf ? "Did not finish" : result ? `Finished #${result.place}` : `${filled.length}/${playable} filled`}
+                  </div>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+      <div className="ml-auto flex gap-6">
+        {penaltyMs > 0 && (
+          <span className="text-red-600 self-center" title="Added for checks and reveals">
+            +{Math.round(penaltyMs / 1000)}s penalty
+          </span>
+        )}
+        {results.length > 0 && (
+          <ol className="space-y-0.5" aria-label="Results">
+            {results.map((r) => (
+              <li key={r.clientId} className={r.clientId === you ? "font-semibold" : ""}>
+                {r.dnf ? "DNF" : `${r.place}.`} {r.name}{" "}
+                {!r.dnf && <span className="font-mono tabular-nums">{formatRaceTime(r.ms)}</span>}
+                {r.penaltyMs > 0 && <span className="text-gray-500"> (+{Math.round(r.penaltyMs / 1000)}s)</span>}
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,144 @@
+// components/RandomPuzzleModal.jsx
+import React, { useEffect, useState } from "react";
+import { PUZZLE_TYPES } from "../../shared/puzzleTypes.mjs";
+
+const DAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+// Usual grid sizes for each puzzle type
+const SIZES = {
+  mini: ["4", "5", "6", "7"],
+  midi: ["9", "10", "11"],
+  daily: ["15", "21"],
+  bonus: ["15", "21"],
+};
+
+export default function RandomPuzzleModal({ open, onClose, onSubmit, type = "mini" }) {
+  const [dow, setDow] = useState([]);
+  const [year, setYear] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [size, setSize] = useState("");
+  const [unsolved, setUnsolved] = useState(false);
+  const [seed, setSeed] = useState("");
+
+  useEffect(() => {
+    if (!open) return;
+    const onKey = (e) => {
+      if (e.key === "Escape") onClose?.();
+    };
+    document.addEventListener("keydown", onKey);
+    return () => document.removeEventListener("keydown", onKey);
+  }, [open, onClose]);
+
+  if (!open) return null;
+
+  const years = [];
+  const firstYear = Number(PUZZLE_TYPES[type].firstDate.slice(0, 4));
+  for (let y = new Date().getFullYear(); y >= firstYear; y--) years.push(String(y));
+
+  function toggleDay(i) {
+    setDow((prev) => (prev.includes(i) ? prev.filter((d) => d !== i) : [...prev, i].sort()));
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    onSubmit?.({ dow, year, from, to, size, unsolved: type === "mini" && unsolved, seed });
+  }
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/30"
+      role="dialog"
+      aria-modal="true"
+    >
+      <form onSubmit={handleSubmit} className="bg-white w-full max-w-md rounded-2xl shadow-xl p-6">
+        <h2 className="text-lg font-semibold mb-2">Random puzzle</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          Narrow it down, or leave everything blank for any puzzle.
+        </p>
+
+        <div className="space-y-4 text-sm">
+          <fieldset>
+            <legend className="font-medium mb-1">Day of week</legend>
+            <div className="flex flex-wrap gap-1">
+              {DAYS.map((d, i) => (
+                <button
+                  key={d}
+                  type="button"
+                  onClick={() => toggleDay(i)}
+                  className={[
+                    "border px-2 py-1 rounded",
+                    dow.includes(i) ? "bg-blue-600 text-white border-blue-600" : "hover:bg-gray-50",
+                  ].join(" ")}
+                  aria-pressed={dow.includes(i) ? "true" : "false"}
+                >
+                  {d}
+                </button>
+              ))}
+            </div>
+          </fieldset>
+
+          <div className="grid grid-cols-2 gap-3">
+            <label className="block">
+              <span className="font-medium">Year</span>
+              <select value={year} onChange={(e) => setYear(e.target.value)} className="mt-1 w-full border rounded px-2 py-1">
+                <option value="">Any</option>
+                {years.map((y) => <option key={y} value={y}>{y}</option>)}
+              </select>
+            </label>
+            <label className="block">
+              <span className="font-medium">Grid size</span>
+              <select value={size} onChange={(e) => setSize(e.target.value)} className="mt-1 w-full border rounded px-2 py-1">
+                <option value="">Any</option>
+                {SIZES[type].map((s) => <option key={s} value={s}>{s}×{s}</option>)}
+              </select>
+            </label>
+            <label className="block">
+              <span className="font-medium">From</span>
+              <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} className="mt-1 w-full border rounded px-2 py-1" />
+            </label>
+            <label className="block">
+              <span className="font-medium">To</span>
+              <input type="date" value={to} onChange={(e) => setTo(e.target.value)} className="mt-1 w-full border rounded px-2 py-1" />
+            </label>
+          </div>
+
+          {/* solves are only recorded for minis (see the scoreboard) */}
+          {type === "mini" && (
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={unsolved} onChange={(e) => setUnsolved(e.target.checked)} />
+              Only puzzles I haven't solved
+            </label>
+          )}
+
+          <label className="block">
+            <span className="font-medium">Seed</span>
+            <input
+              type="text"
+              value={seed}
+              onChange={(e) => setSeed(e.target.value)}
+              placeholder="Optional, e.g. team-lunch"
+              className="mt-1 w-full border rounded px-2 py-1"
+            />
+            <span className="text-xs text-gray-500">Everyone using the same seed and filters gets the same puzzle.</span>
+          </label>
+        </div>
+
+        <div className="mt-6 flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="border px-3 py-2 rounded hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="bg-blue-600 text-white px-4 py-2 rounded font-semibold hover:bg-blue-700"
+          >
+            Find puzzle
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,37 @@
+// components/ReleaseCountdown.jsx
+import React, { useEffect, useState } from "react";
+
+function format(ms) {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  const h = Math.floor(total / 3600);
+  const m = String(Math.floor((total % 3600) / 60)).padStart(2, "0");
+  const s = String(total % 60).padStart(2, "0");
+  return h ? `${h}:${m}:${s}` : `${m}:${s}`;
+}
+
+// Shown instead of the grid while today's puzzle isn't out yet
+// Calls onReleased once the release time has passed
+export default function ReleaseCountdown({ date, releaseAt, onReleased, children }) {
+  const [now, setNow] = useState(() => Date.now());
+  const remaining = releaseAt - now;
+  const released = remaining <= 0;
+
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, []);
+
+  useEffect(() => {
+    if (released) onReleased?.();
+  }, [released, onReleased]);
+
+  const localTime = new Date(releaseAt).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+
+  return (
+    <div className="text-center space-y-4">
+      <p className="text-gray-600">The puzzle for {date} comes out at {localTime} your time.</p>
+      <p className="text-4xl font-mono tabular-nums" aria-live="polite">{format(remaining)}</p>
+      {children}
+    </div>
+  );
+}
@@ -0,0 +1,217 @@
+// components/ReplayPage.jsx
+// Replay of a recorded solve at /:date/replay (/daily/:date/replay for other types):
+// the timeline saved by App.jsx played back on a read-only grid
+import React from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import CrosswordGrid from "./CrosswordGrid";
+import { loadRecording } from "../utils/scoreStorage";
+import { DEFAULT_TYPE, puzzleKey } from "../../shared/puzzleTypes.mjs";
+
+const SPEEDS = [0.5, 1, 2, 4, 8];
+
+// Events worth a tick on the scrubber
+const MARKERS = {
+  check: "bg-amber-500",
+  reveal: "bg-red-600",
+  pause: "bg-gray-400",
+};
+
+function format(ms) {
+  const seconds = Math.floor(ms / 1000);
+  const m = String(Math.floor(seconds / 60)).padStart(2, "0");
+  const s = String(seconds % 60).padStart(2, "0");
+  return `${m}:${s}`;
+}
+
+// Grid, cursor and pause state after every event up to `at` ms
+function frameAt(cells, events, at) {
+  const grid = cells.map((c) => (c ? { ...c } : null));
+  let activeIndex = null;
+  let direction = "Across";
+  let paused = false;
+  for (const e of events) {
+    if (e.t > at) break;
+    const cell = grid[e.i];
+    if (e.type === "type" && cell) cell.userInput = e.value;
+    else if (e.type === "delete" && cell) cell.userInput = "";
+    else if (e.type === "status" && cell) cell.status = e.status;
+    else if (e.type === "cursor") {
+      activeIndex = e.i;
+      direction = e.dir;
+    } else if (e.type === "pause") paused = true;
+    else if (e.type === "resume") paused = false;
+  }
+  return { grid, activeIndex, direction, paused };
+}
+
+export default function ReplayPage({ type = DEFAULT_TYPE }) {
+  const { date } = useParams();
+  const navigate = useNavigate();
+  const [puzzle, setPuzzle] = React.useState(null);
+  const [error, setError] = React.useState("");
+  const [position, setPosition] = React.useState(0);
+  const [playing, setPlaying] = React.useState(false);
+  const [speed, setSpeed] = React.useState(1);
+  const inputRefs = React.useRef([]);
+
+  const events = React.useMemo(() => {
+    const list = loadRecording(puzzleKey(type, date))?.events || [];
+    return [...list].sort((a, b) => a.t - b.t);
+  }, [type, date]);
+  const duration = events.length ? events[events.length - 1].t : 0;
+  const puzzlePath = `${type === DEFAULT_TYPE ? "" : `/${type}`}/${date}`;
+
+  React.useEffect(() => {
+    let cancelled = false;
+    setPuzzle(null);
+    setError("");
+    setPosition(0);
+    setPlaying(false);
+    fetch(`/api/puzzle/v1/${type}/${encodeURIComponent(date)}.json`)
+      .then(async (res) => {
+        const json = await res.json().catch(() => null);
+        if (!res.ok) throw new Error(json?.error || `HTTP ${res.status}`);
+        return json;
+      })
+      .then((json) => { if (!cancelled) setPuzzle(json); })
+      .catch((e) => { if (!cancelled) setError(String(e.message || e)); });
+    return () => { cancelled = true; };
+  }, [type, date]);
+
+  // Advance with the clock while playing, stopping at the end
+  React.useEffect(() => {
+    if (!playing) return;
+    let last = performance.now();
+    let frame;
+    function step(now) {
+      const elapsed = (now - last) * speed;
+      last = now;
+      setPosition((p) => Math.min(duration, p + elapsed));
+      frame = requestAnimationFrame(step);
+    }
+    frame = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(frame);
+  }, [playing, speed, duration]);
+
+  React.useEffect(() => {
+    if (playing && position >= duration) setPlaying(false);
+  }, [playing, position, duration]);
+
+  const cells = React.useMemo(
+    () => (puzzle?.cells || []).map((cell) => (cell.type === "block" ? null : { ...cell, userInput: "", status: "neutral" })),
+    [puzzle]
+  );
+  const frame = React.useMemo(() => frameAt(cells, events, position), [cells, events, position]);
+  const clue = React.useMemo(
+    () => (puzzle?.clues || []).find((c) => c.direction === frame.direction && c.cells?.includes(frame.activeIndex)),
+    [puzzle, frame.direction, frame.activeIndex]
+  );
+  const activeWordSet = React.useMemo(() => new Set(clue?.cells || []), [clue]);
+
+  function togglePlay() {
+    if (!playing && position >= duration) setPosition(0);
+    setPlaying((p) => !p);
+  }
+
+  return (
+    <main className="min-h-screen flex items-center justify-center bg-gray-50">
+      <div className="relative w-full max-w-3xl bg-white rounded-2xl shadow-lg overflow-hidden flex flex-col">
+        {/* HEADER */}
+        <div className="px-6 py-4 border-b flex items-center justify-between">
+          <h1 className="text-2xl font-bold">Replay · {date}</h1>
+          <div className="flex items-center gap-3">
+            <button type="button" onClick={() => navigate(-1)} className="border px-3 py-1 rounded hover:bg-gray-100" title="Back">
+              ← Back
+            </button>
+            <button type="button" onClick={() => navigate(puzzlePath)} className="border px-3 py-1 rounded hover:bg-gray-100">
+              Open puzzle
+            </button>
+          </div>
+        </div>
+
+        {/* BODY */}
+        <div className="p-6 space-y-4">
+          {error ? (
+            <p className="text-red-600">{error}</p>
+          ) : events.length === 0 ? (
+            <div className="text-gray-500 italic">No recording of this puzzle in this browser. Solve it to record one.</div>
+          ) : !puzzle ? (
+            <div className="text-gray-500 italic">Loading…</div>
+          ) : (
+            <>
+              <div className="h-[min(60vh,32rem)] flex [container-type:size]">
+                <div className="m-auto">
+                  <CrosswordGrid
+                    grid={frame.grid}
+                    cols={puzzle.size.cols}
+                    rows={puzzle.size.rows}
+                    activeIndex={frame.activeIndex}
+                    direction={frame.direction}
+                    inputRefs={inputRefs}
+                    activeWordSet={activeWordSet}
+                    disabled
+                  />
+                </div>
+              </div>
+              <div className="min-h-[1.5rem] text-sm text-gray-700">
+                {frame.paused ? (
+                  <span className="italic text-gray-500">Paused</span>
+                ) : clue ? (
+                  <><span className="font-semibold">{clue.label}{clue.direction === "Across" ? "A" : "D"}</span> {clue.text}</>
+                ) : null}
+              </div>
+            </>
+          )}
+        </div>
+
+        {/* FOOTER — play/pause, scrubber and speed */}
+        <div className="px-6 py-4 border-t flex items-center gap-3">
+          <button
+            type="button"
+            onClick={togglePlay}
+            disabled={!puzzle || events.length === 0}
+            className="border px-3 py-1 rounded hover:bg-gray-100 disabled:opacity-50 w-20"
+          >
+            {playing ? "Pause" : "Play"}
+          </button>
+          <div className="relative flex-1">
+            <input
+              type="range"
+              min={0}
+              max={duration}
+              step={100}
+              value={position}
+              onChange={(e) => setPosition(Number(e.target.value))}
+              disabled={!puzzle || events.length === 0}
+              className="w-full"
+              aria-label="Replay position"
+            />
+            {/* checks, reveals and pauses along the timeline */}
+            {duration > 0 && (
+              <div className="absolute inset-x-0 -bottom-1 h-1.5 pointer-events-none" aria-hidden="true">
+                {events.filter((e) => MARKERS[e.type]).map((e, n) => (
+                  <span
+                    key={n}
+                    className={`absolute top-0 w-0.5 h-full ${MARKERS[e.type]}`}
+                    style={{ left: `${(e.t / duration) * 100}%` }}
+                  />
+                ))}
+              </div>
+            )}
+          </div>
+          <span className="font-mono tabular-nums text-sm">
+            {format(position)} / {format(duration)}
+          </span>
+          <label className="flex items-center gap-1 text-sm">
+            <span className="text-gray-600">Speed</span>
+            <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))} className="border rounded px-1 py-0.5">
+              {SPEEDS.map((s) => (
+                <option key={s} value={s}>{s}×</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      </div>
+    </main>
+  );
+}
@@ -0,0 +1,83 @@
+// components/RoomBar.jsx
+// Strip under the header in a room: who's here, the connection, the invite
+// link and your display name
+import React from "react";
+
+const STATUS_TEXT = {
+  connecting: "Connecting…",
+  open: "Connected",
+  reconnecting: "Reconnecting…",
+  gone: "This room has closed",
+  full: "This room is full",
+  started: "This race started without you",
+};
+
+export default function RoomBar({ participants, you, status, error, onRename }) {
+  const me = participants.find((p) => p.clientId === you);
+  const [name, setName] = React.useState(me?.name || "");
+  const [copied, setCopied] = React.useState(false);
+
+  // follow renames coming back from the server unless we're typing
+  const editingRef = React.useRef(false);
+  React.useEffect(() => {
+    if (!editingRef.current && me?.name) setName(me.name);
+  }, [me?.name]);
+
+  async function copyLink() {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      prompt("Copy this link to invite someone:", window.location.href);
+    }
+  }
+
+  function commitName() {
+    editingRef.current = false;
+    const next = name.trim();
+    if (next && next !== me?.name) onRename(next);
+  }
+
+  return (
+    <div className="px-6 py-2 border-b bg-gray-50 flex flex-wrap items-center gap-3 text-sm">
+      <span className={status === "open" ? "text-green-700" : "text-amber-700"} role="status">
+        {STATUS_TEXT[status] || status}
+      </span>
+      <ul className="flex flex-wrap items-center gap-1" aria-label="People in this room">
+        {participants.map((p) => (
+          <li
+            key={p.clientId}
+            className={`flex items-center gap-1 border rounded-full px-2 py-0.5 bg-white ${p.online ? "" : "opacity-50"}`}
+            title={p.online ? p.name : `${p.name} (away)`}
+          >
+            <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: p.color }} aria-hidden="true" />
+            {p.name}
+            {p.clientId === you && <span className="text-gray-500">(you)</span>}
+          </li>
+        ))}
+      </ul>
+      {error && <span className="text-red-600">{error}</span>}
+      <div className="ml-auto flex items-center gap-2">
+        <label className="flex items-center gap-1">
+          <span className="text-gray-600">Name</span>
+          <input
+            value={name}
+            maxLength={24}
+            onFocus={() => { editingRef.current = true; }}
+            onChange={(e) => setName(e.target.value)}
+            onBlur={commitName}
+            onKeyDown={(e) => {
+              e.stopPropagation(); // keep the grid's key handling out of this field
+              if (e.key === "Enter") e.currentTarget.blur();
+            }}
+            className="border rounded px-2 py-0.5 w-32"
+          />
+        </label>
+        <button type="button" onClick={copyLink} className="border px-3 py-1 rounded bg-white hover:bg-gray-100">
+          {copied ? "Copied!" : "Copy link"}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+// components/RoomPage.jsx
+// Co-op or race room at /room/:roomId: looks up which puzzle the room is for, then
+// plays it in the regular app with the room connected
+import React from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import App from "../App";
+
+export default function RoomPage() {
+  const { roomId } = useParams();
+  const navigate = useNavigate();
+  const [room, setRoom] = React.useState(null);
+  const [error, setError] = React.useState("");
+
+  React.useEffect(() => {
+    let cancelled = false;
+    setRoom(null);
+    setError("");
+    fetch(`/api/rooms/${encodeURIComponent(roomId)}.json`)
+      .then(async (res) => {
+        const json = await res.json().catch(() => null);
+        if (res.status === 404) throw new Error("This room doesn't exist anymore. Rooms close after a while with nobody in them, or when the server restarts.");
+        if (!res.ok) throw new Error(json?.error || `HTTP ${res.status}`);
+        return json;
+      })
+      .then((json) => { if (!cancelled) setRoom(json); })
+      .catch((e) => { if (!cancelled) setError(String(e.message || e)); });
+    return () => { cancelled = true; };
+  }, [roomId]);
+
+  if (room) return <App key={room.id} type={room.type} date={room.date} roomId={room.id} mode={room.mode} />;
+
+  return (
+    <main className="min-h-screen flex items-center justify-center bg-gray-50">
+      <div className="w-full max-w-lg bg-white rounded-2xl shadow-lg p-6 text-center space-y-4">
+        {error ? (
+          <>
+            <p className="text-red-600">{error}</p>
+            <button type="button" onClick={() => navigate("/")} className="border px-3 py-1 rounded hover:bg-gray-100">
+              Play today's puzzle
+            </button>
+          </>
+        ) : (
+          <div className="text-gray-500 italic">Joining room…</div>
+        )}
+      </div>
+    </main>
+  );
+}
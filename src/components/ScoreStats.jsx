@@ -0,0 +1,144 @@
+// components/ScoreStats.jsx
+// Statistics above the scoreboard table: streaks, counts, averages, weekday
+// breakdown, a histogram and trend line (inline SVG) and personal bests
+import React from "react";
+import { ROLLING_WINDOW, trendPlot } from "../utils/scoreStats";
+
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 140;
+const PAD = 24; // room for the axis labels
+
+function format(seconds) {
+  if (seconds == null) return "—";
+  const s = Math.round(seconds);
+  return `${String(Math.floor(s / 60)).padStart(2, "0")}:${String(s % 60).padStart(2, "0")}`;
+}
+
+function Stat({ label, value, title }) {
+  return (
+    <div className="rounded-xl border px-4 py-3" title={title}>
+      <div className="text-xs uppercase tracking-wide text-gray-500">{label}</div>
+      <div className="text-xl font-semibold tabular-nums">{value}</div>
+    </div>
+  );
+}
+
+// Bars of solves per time range
+function Histogram({ bins }) {
+  const most = Math.max(1, ...bins.map((b) => b.count));
+  const barWidth = (CHART_WIDTH - PAD) / bins.length;
+  const plotHeight = CHART_HEIGHT - PAD;
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-auto" role="img" aria-label="Solve time distribution">
+      <line x1={PAD} y1={plotHeight} x2={CHART_WIDTH} y2={plotHeight} className="stroke-gray-300" />
+      <text x={PAD - 4} y={10} textAnchor="end" className="fill-gray-500 text-[9px]">{most}</text>
+      {bins.map((b, i) => {
+        const h = (b.count / most) * (plotHeight - 8);
+        const x = PAD + i * barWidth;
+        return (
+          <g key={b.from}>
+            <rect x={x + 1} y={plotHeight - h} width={Math.max(1, barWidth - 2)} height={h} className="fill-blue-500">
+              <title>{`${format(b.from)}–${format(b.to)}: ${b.count}`}</title>
+            </rect>
+            {(i % Math.ceil(bins.length / 6) === 0) && (
+              <text x={x} y={CHART_HEIGHT - 8} className="fill-gray-500 text-[9px]">{format(b.from)}</text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+// Each solve as a dot, with the rolling average as a line through them
+function TrendChart({ trend }) {
+  const { top, points, line } = trendPlot(trend, { width: CHART_WIDTH, height: CHART_HEIGHT, pad: PAD });
+  const plotHeight = CHART_HEIGHT - PAD;
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-auto" role="img" aria-label={`Solve times with a ${ROLLING_WINDOW}-solve rolling average`}>
+      <line x1={PAD} y1={plotHeight} x2={CHART_WIDTH} y2={plotHeight} className="stroke-gray-300" />
+      <text x={PAD - 4} y={10} textAnchor="end" className="fill-gray-500 text-[9px]">{format(top)}</text>
+      {trend.map((p, i) => (
+        <circle key={p.date} cx={points[i].x} cy={points[i].y} r={2} className="fill-gray-300">
+          <title>{`${p.date}: ${format(p.seconds)}`}</title>
+        </circle>
+      ))}
+      <path d={line} fill="none" strokeWidth={2} className="stroke-blue-600" />
+      <text x={PAD} y={CHART_HEIGHT - 8} className="fill-gray-500 text-[9px]">{trend[0].date}</text>
+      <text x={CHART_WIDTH} y={CHART_HEIGHT - 8} textAnchor="end" className="fill-gray-500 text-[9px]">{trend[trend.length - 1].date}</text>
+    </svg>
+  );
+}
+
+export default function ScoreStats({ stats, streak, onOpen }) {
+  return (
+    <section className="space-y-6" aria-label="Statistics">
+      <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-3">
+        <Stat label="Current streak" value={streak.current} title="Consecutive days with a solve, up to today" />
+        <Stat label="Longest streak" value={streak.longest} />
+        <Stat label="Solved" value={stats.solved} />
+        <Stat label="Clean" value={stats.clean} title="Solved without checks or reveals" />
+        <Stat label="Average" value={format(stats.average)} title="Clean solves only" />
+        <Stat label="Median" value={format(stats.median)} title="Clean solves only" />
+      </div>
+
+      {stats.clean > 0 && (
+        <div className="grid md:grid-cols-2 gap-6">
+          <figure>
+            <figcaption className="text-sm font-semibold mb-1">Time distribution</figcaption>
+            <Histogram bins={stats.histogram} />
+          </figure>
+          <figure>
+            <figcaption className="text-sm font-semibold mb-1">Trend ({ROLLING_WINDOW}-solve rolling average)</figcaption>
+            <TrendChart trend={stats.trend} />
+          </figure>
+        </div>
+      )}
+
+      <div className="grid md:grid-cols-2 gap-6">
+        <div className="overflow-hidden rounded-xl border">
+          <table className="w-full text-left text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 font-semibold">Weekday</th>
+                <th className="px-4 py-2 font-semibold">Solves</th>
+                <th className="px-4 py-2 font-semibold">Average</th>
+                <th className="px-4 py-2 font-semibold">Median</th>
+                <th className="px-4 py-2 font-semibold">Best</th>
+              </tr>
+            </thead>
+            <tbody className="tabular-nums">
+              {stats.byWeekday.map((d) => (
+                <tr key={d.day} className="border-t">
+                  <td className="px-4 py-1.5">{d.name}</td>
+                  <td className="px-4 py-1.5">{d.count}</td>
+                  <td className="px-4 py-1.5 font-mono">{format(d.average)}</td>
+                  <td className="px-4 py-1.5 font-mono">{format(d.median)}</td>
+                  <td className="px-4 py-1.5 font-mono">{format(d.best)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div>
+          <h2 className="text-sm font-semibold mb-2">Personal bests</h2>
+          {stats.bests.length === 0 ? (
+            <div className="text-gray-500 italic text-sm">No clean solves yet.</div>
+          ) : (
+            <ol className="space-y-1 text-sm">
+              {stats.bests.map((s, i) => (
+                <li key={s.date} className="flex items-center gap-3">
+                  <span className="w-5 text-gray-500">{i + 1}.</span>
+                  <span className="font-mono tabular-nums">{format(s.seconds)}</span>
+                  <button type="button" onClick={() => onOpen(s.date)} className="underline underline-offset-2 hover:no-underline">
+                    {s.date}
+                  </button>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+}
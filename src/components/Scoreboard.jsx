@@ -1,7 +1,10 @@
 // components/Scoreboard.jsx
 import React from "react";
 import { useNavigate } from "react-router-dom";
-import { loadScores, clearScores } from "../utils/scoreStorage";
+import { loadScores, clearScores, recordedIds } from "../utils/scoreStorage";
+import { latestPuzzleDate, todayISO } from "../../shared/dates.mjs";
+import { streaks, timeStats } from "../utils/scoreStats";
+import ScoreStats from "./ScoreStats";
 
 function format(seconds) {
   const m = String(Math.floor(seconds / 60)).padStart(2, "0");
@@ -9,22 +12,82 @@ function format(seconds) {
   return `${m}:${s}`;
 }
 
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? "" : "s"}`;
+}
+
+// Short description of the help used on an assisted solve, e.g. "autocheck, 3 squares revealed"
+function describeHelp(help = {}) {
+  const parts = [];
+  if (help.autocheck) parts.push("autocheck");
+  const checks = (help.checkSquare || 0) + (help.checkWord || 0) + (help.checkPuzzle || 0);
+  if (checks) parts.push(plural(checks, "check"));
+  if (help.revealPuzzle) parts.push("puzzle revealed");
+  else if (help.revealedCells) parts.push(`${plural(help.revealedCells, "square")} revealed`);
+  return parts.join(", ");
+}
+
+// Table columns that sort; rows without a time go last either way
+const SORTS = {
+  date: (row) => row.date,
+  seconds: (row) => row.seconds,
+  assisted: (row) => row.assisted?.seconds,
+};
+
+function compareRows(a, b, { key, desc }) {
+  const x = SORTS[key](a);
+  const y = SORTS[key](b);
+  if (x == null || y == null) return x == null ? (y == null ? 0 : 1) : -1;
+  const order = x < y ? -1 : x > y ? 1 : 0;
+  return desc ? -order : order;
+}
+
+function SortHeader({ sortKey, sort, onSort, title, children }) {
+  const active = sort.key === sortKey;
+  return (
+    <th className="px-4 py-3 font-semibold" title={title} aria-sort={active ? (sort.desc ? "descending" : "ascending") : "none"}>
+      <button type="button" onClick={() => onSort(sortKey)} className="hover:underline">
+        {children}
+        {active && <span className="ml-1 text-gray-500">{sort.desc ? "▼" : "▲"}</span>}
+      </button>
+    </th>
+  );
+}
+
 export default function Scoreboard() {
   const navigate = useNavigate();
   const [scores, setScores] = React.useState([]);
+  const recorded = React.useMemo(() => recordedIds(), []);
+  const [period, setPeriod] = React.useState(""); // "", "YYYY" or "YYYY-MM"
+  const [sort, setSort] = React.useState({ key: "date", desc: true });
+
+  // Years and months with scores, newest first, for the filter
+  const periods = React.useMemo(() => {
+    const years = new Set(scores.map((s) => s.date.slice(0, 4)));
+    const months = new Set(scores.map((s) => s.date.slice(0, 7)));
+    return [...years].sort().reverse().map((year) => ({
+      year,
+      months: [...months].filter((m) => m.startsWith(year)).sort().reverse(),
+    }));
+  }, [scores]);
+
+  const shown = React.useMemo(
+    () => scores.filter((s) => s.date.startsWith(period)).sort((a, b) => compareRows(a, b, sort)),
+    [scores, period, sort]
+  );
+  const stats = React.useMemo(() => timeStats(shown), [shown]);
+  const streak = React.useMemo(() => streaks(scores, todayISO()), [scores]);
+
+  function sortBy(key) {
+    setSort((s) => ({ key, desc: s.key === key ? !s.desc : key === "date" }));
+  }
+
 
   React.useEffect(() => {
     const list = loadScores();
     setScores([...list].sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0)));
   }, []);
 
-  const todayISO = React.useMemo(() => {
-    const d = new Date();
-    const m = String(d.getMonth() + 1).padStart(2, "0");
-    const day = String(d.getDate()).padStart(2, "0");
-    return `${d.getFullYear()}-${m}-${day}`;
-  }, []);
-
   function handleClear() {
     if (window.confirm("Clear all saved scores?")) {
       clearScores();
@@ -34,8 +97,14 @@ export default function Scoreboard() {
 
   function handleExport() {
     // CSV header
-    const header = ["date", "seconds", "formatted"];
-    const rows = scores.map((s) => [s.date, String(s.seconds), format(s.seconds)]);
+    const header = ["date", "seconds", "formatted", "assisted_seconds", "assisted_help"];
+    const rows = shown.map((s) => [
+      s.date,
+      s.seconds != null ? String(s.seconds) : "",
+      s.seconds != null ? format(s.seconds) : "",
+      s.assisted ? String(s.assisted.seconds) : "",
+      s.assisted ? describeHelp(s.assisted.help) : "",
+    ]);
 
     // Build CSV with BOM for Excel friendliness
     const csvLines = [header.join(","), ...rows.map((r) => r.map(escapeCsv).join(","))].join("\r\n");
@@ -78,7 +147,15 @@ export default function Scoreboard() {
             </button>
             <button
               type="button"
-              onClick={() => navigate(`/${todayISO}`)}
+              onClick={() => navigate("/archive")}
+              className="border px-3 py-1 rounded hover:bg-gray-100"
+              title="Browse past puzzles by month"
+            >
+              Archive
+            </button>
+            <button
+              type="button"
+              onClick={() => navigate(`/${latestPuzzleDate()}`)}
               className="border px-3 py-1 rounded hover:bg-gray-100"
               title="Go to today’s puzzle"
             >
@@ -94,32 +171,79 @@ export default function Scoreboard() {
               No completed puzzles yet. Finish a puzzle to record your time!
             </div>
           ) : (
-            <div className="overflow-hidden rounded-xl border">
-              <table className="w-full text-left text-sm">
-                <thead className="bg-gray-50">
-                  <tr>
-                    <th className="px-4 py-3 font-semibold">Date</th>
-                    <th className="px-4 py-3 font-semibold">Best Time</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {scores.map((row) => (
-                    <tr key={row.date} className="border-t hover:bg-gray-50">
-                      <td className="px-4 py-3">
-                        <button
-                          type="button"
-                          onClick={() => navigate(`/${row.date}`)}
-                          className="underline underline-offset-2 hover:no-underline"
-                          title={`Open ${row.date}`}
-                        >
-                          {row.date}
-                        </button>
-                      </td>
-                      <td className="px-4 py-3 font-mono tabular-nums">{format(row.seconds)}</td>
-                    </tr>
+            <div className="space-y-6">
+              <div className="flex items-center justify-end gap-2 text-sm">
+                <label htmlFor="score-period" className="text-gray-600">Show</label>
+                <select
+                  id="score-period"
+                  value={period}
+                  onChange={(e) => setPeriod(e.target.value)}
+                  className="border rounded px-2 py-1"
+                >
+                  <option value="">All time</option>
+                  {periods.map(({ year, months }) => (
+                    <optgroup key={year} label={year}>
+                      <option value={year}>All of {year}</option>
+                      {months.map((m) => (
+                        <option key={m} value={m}>
+                          {new Date(`${m}-01T00:00:00`).toLocaleDateString(undefined, { month: "long", year: "numeric" })}
+                        </option>
+                      ))}
+                    </optgroup>
                   ))}
-                </tbody>
-              </table>
+                </select>
+              </div>
+              <ScoreStats stats={stats} streak={streak} onOpen={(date) => navigate(`/${date}`)} />
+              <div className="overflow-hidden rounded-xl border">
+                <table className="w-full text-left text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <SortHeader sort={sort} onSort={sortBy} sortKey="date">Date</SortHeader>
+                      <SortHeader sort={sort} onSort={sortBy} sortKey="seconds">Best Time</SortHeader>
+                      <SortHeader sort={sort} onSort={sortBy} sortKey="assisted" title="Best time with checks or reveals; never counted as a personal best">Assisted</SortHeader>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {shown.map((row) => (
+                      <tr key={row.date} className="border-t hover:bg-gray-50">
+                        <td className="px-4 py-3">
+                          <button
+                            type="button"
+                            onClick={() => navigate(`/${row.date}`)}
+                            className="underline underline-offset-2 hover:no-underline"
+                            title={`Open ${row.date}`}
+                          >
+                            {row.date}
+                          </button>
+                          {recorded.has(row.date) && (
+                            <button
+                              type="button"
+                              onClick={() => navigate(`/${row.date}/replay`)}
+                              className="ml-3 text-xs text-blue-700 hover:underline"
+                              title={`Watch the recorded solve of ${row.date}`}
+                            >
+                              Replay
+                            </button>
+                          )}
+                        </td>
+                        <td className="px-4 py-3 font-mono tabular-nums">{row.seconds != null ? format(row.seconds) : "—"}</td>
+                        <td className="px-4 py-3">
+                          {row.assisted ? (
+                            <span className="text-gray-600">
+                              <span className="font-mono tabular-nums">{format(row.assisted.seconds)}</span>
+                              <span className="ml-2 text-xs rounded bg-amber-100 text-amber-800 px-1.5 py-0.5">
+                                {describeHelp(row.assisted.help) || "assisted"}
+                              </span>
+                            </span>
+                          ) : (
+                            <span className="text-gray-400">—</span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
             </div>
           )}
         </div>
@@ -130,7 +254,7 @@ export default function Scoreboard() {
             type="button"
             onClick={handleExport}
             className="border px-3 py-1 rounded hover:bg-gray-100"
-            title="Export scoreboard to CSV"
+            title="Export the scores shown to CSV"
             disabled={scores.length === 0}
           >
             Export CSV
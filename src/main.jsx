@@ -4,6 +4,13 @@ import { BrowserRouter, Routes, Route } from 'react-router-dom'
 import App from './App.jsx'
 import './index.css'
 import Scoreboard from './components/Scoreboard.jsx'
+import ArchiveCalendar from './components/ArchiveCalendar.jsx'
+import RoomPage from './components/RoomPage.jsx'
+import ReplayPage from './components/ReplayPage.jsx'
+import { DEFAULT_TYPE, PUZZLE_TYPES } from '../shared/puzzleTypes.mjs'
+
+// Puzzle types other than the mini get their own prefix: /daily, /midi/2025-09-08
+const OTHER_TYPES = Object.keys(PUZZLE_TYPES).filter((type) => type !== DEFAULT_TYPE)
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
@@ -13,8 +20,23 @@ ReactDOM.createRoot(document.getElementById('root')).render(
         <Route path="/" element={<App />} />
         {/* date route: /2025-08-03 */}
         <Route path="/:date" element={<App />} />
+        {/* recorded solve: /2025-08-03/replay */}
+        <Route path="/:date/replay" element={<ReplayPage />} />
+        {OTHER_TYPES.map((type) => (
+          <React.Fragment key={type}>
+            <Route path={`/${type}`} element={<App type={type} />} />
+            <Route path={`/${type}/:date`} element={<App type={type} />} />
+            <Route path={`/${type}/:date/replay`} element={<ReplayPage type={type} />} />
+          </React.Fragment>
+        ))}
+        {/* uploaded .ipuz puzzles, saved in this browser: /imported/ipuz-… */}
+        <Route path="/imported/:puzzleId" element={<App />} />
+        {/* co-op room: /room/abc123 */}
+        <Route path="/room/:roomId" element={<RoomPage />} />
         <Route path="/scoreboard" element={<Scoreboard />} />
+        {/* month calendar: /archive?month=2024-01 */}
+        <Route path="/archive" element={<ArchiveCalendar />} />
       </Routes>
     </BrowserRouter>
   </React.StrictMode>
-)
\ No newline at end of file
+)
@@ -0,0 +1,46 @@
+// utils/puzzleApi.js
+// Client for the proxy's puzzle check/reveal routes (used when answers are hidden),
+// the ipuz import route and room creation
+
+async function postJson(url, payload) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+  const json = await res.json().catch(() => null);
+  if (!res.ok) throw new Error(json?.error || `HTTP ${res.status}`);
+  return json;
+}
+
+// Map of cell index -> user input for the given cells (all cells if omitted), skipping blanks
+export function entriesOf(grid, indices) {
+  const list = indices ?? grid.map((_, i) => i);
+  const entries = {};
+  for (const i of list) {
+    if (grid[i]?.userInput) entries[i] = grid[i].userInput;
+  }
+  return entries;
+}
+
+// type is the puzzle type (mini, midi, daily, bonus)
+// Returns { results: { [index]: "correct" | "wrong" }, solved }
+export function checkEntries(date, entries, type = "mini") {
+  return postJson(`/api/puzzle/v1/${type}/${date}/check`, { entries });
+}
+
+// Returns { answers: { [index]: letter } } for the given cells (whole grid if omitted)
+export function revealCells(date, cells, type = "mini") {
+  return postJson(`/api/puzzle/v1/${type}/${date}/reveal`, cells ? { cells } : {});
+}
+
+// Convert a parsed ipuz document to a normalized puzzle with an "ipuz-…" id
+export function importIpuz(doc) {
+  return postJson("/api/puzzle/v1/import/ipuz", doc);
+}
+
+// Open a room for an NYT puzzle; mode is "coop" or "race"
+// Returns { id, mode, type, date }
+export function createRoom(type, date, mode = "coop") {
+  return postJson("/api/rooms", { type, date, mode });
+}
@@ -0,0 +1,93 @@
+// utils/scoreStats.js
+// Statistics over the saved scores (see scoreStorage.js for their shape)
+// Times are clean best times only; assisted solves count as solves but never as times
+import { addDays, toDate } from "../../shared/dates.mjs";
+
+export const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+export const ROLLING_WINDOW = 7; // solves per point on the trend line
+
+// Bin widths tried for the histogram, in seconds; the first giving at most MAX_BINS wins
+const BIN_WIDTHS = [5, 10, 15, 30, 60, 120, 300, 600, 900, 1800];
+const MAX_BINS = 12;
+
+export function average(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+export function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Current and longest run of consecutive days with a solve (clean or assisted)
+// A day is the local day of the puzzle's first solve, or the puzzle date for scores
+// saved before that was recorded. The current streak is still alive if it ends on
+// `today` or the day before, since today's solve may be still to come
+export function streaks(scores, today) {
+  const days = [...new Set(scores.map((s) => s.solvedOn || s.date))].sort();
+  let longest = 0;
+  let run = 0;
+  for (let i = 0; i < days.length; i++) {
+    run = i > 0 && addDays(days[i - 1], 1) === days[i] ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  }
+  const last = days[days.length - 1];
+  const current = last && (last === today || last === addDays(today, -1)) ? run : 0;
+  return { current, longest };
+}
+
+// Counts, averages, per-weekday figures, histogram bins, trend and bests for a list of scores
+export function timeStats(scores) {
+  const clean = scores.filter((s) => typeof s.seconds === "number").sort((a, b) => (a.date < b.date ? -1 : 1));
+  const seconds = clean.map((s) => s.seconds);
+
+  const byWeekday = WEEKDAYS.map((name, day) => {
+    const times = clean.filter((s) => toDate(s.date).getDay() === day).map((s) => s.seconds);
+    return { day, name, count: times.length, average: average(times), median: median(times), best: times.length ? Math.min(...times) : null };
+  });
+
+  const trend = clean.map((s, i) => {
+    const window = seconds.slice(Math.max(0, i - ROLLING_WINDOW + 1), i + 1);
+    return { date: s.date, seconds: s.seconds, average: average(window) };
+  });
+
+  return {
+    solved: scores.length,
+    clean: clean.length,
+    assisted: scores.length - clean.length,
+    average: average(seconds),
+    median: median(seconds),
+    byWeekday,
+    histogram: histogram(seconds),
+    trend,
+    bests: [...clean].sort((a, b) => a.seconds - b.seconds || (a.date < b.date ? -1 : 1)).slice(0, 5),
+  };
+}
+
+// Trend chart geometry in a width × height box with `pad` left and below for labels:
+// the top of the time axis, a point per solve and the rolling-average path
+// `top` is at least 1 so all-zero times still plot on the axis
+export function trendPlot(trend, { width, height, pad }) {
+  const top = Math.max(1, ...trend.map((p) => p.seconds));
+  const plotHeight = height - pad;
+  const x = (i) => pad + (trend.length > 1 ? (i / (trend.length - 1)) * (width - pad - 4) : (width - pad) / 2);
+  const y = (s) => plotHeight - (s / top) * (plotHeight - 8);
+  const points = trend.map((p, i) => ({ x: x(i), y: y(p.seconds) }));
+  const line = trend.map((p, i) => `${i ? "L" : "M"}${x(i).toFixed(1)},${y(p.average).toFixed(1)}`).join(" ");
+  return { top, points, line };
+}
+
+// Times grouped into equal-width bins: [{ from, to, count }], from inclusive
+export function histogram(seconds) {
+  if (!seconds.length) return [];
+  const min = Math.min(...seconds);
+  const max = Math.max(...seconds);
+  const width = BIN_WIDTHS.find((w) => Math.floor(max / w) - Math.floor(min / w) + 1 <= MAX_BINS) || BIN_WIDTHS[BIN_WIDTHS.length - 1];
+  const start = Math.floor(min / width) * width;
+  const bins = [];
+  for (let from = start; from <= max; from += width) bins.push({ from, to: from + width, count: 0 });
+  for (const s of seconds) bins[Math.floor((s - start) / width)].count++;
+  return bins;
+}
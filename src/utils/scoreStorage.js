@@ -1,6 +1,12 @@
 // utils/scoreStorage.js
+import { todayISO } from "../../shared/dates.mjs";
+
 export const STORAGE_KEY_SCORES = "nytMiniScoreboard:v1";
 export const STORAGE_KEY_STATE  = "nytMiniStates:v1";
+export const STORAGE_KEY_IMPORTS = "nytMiniImports:v1";
+export const STORAGE_KEY_RECORDINGS = "nytMiniRecordings:v1";
+const MAX_RECORDINGS = 50; // oldest recordings are dropped beyond this many
+const MAX_RECORDINGS_SIZE = 1000000; // …or this many characters of JSON, so puzzle state keeps room
 
 /** --------- SCOREBOARD (best times) ---------- **/
 export function loadScores() {
@@ -19,21 +25,43 @@ export function saveScores(scores) {
   } catch {}
 }
 
-export function recordScore({ date, seconds }) {
+// Help used on a puzzle, as counts:
+//   checkSquare, checkWord, checkPuzzle     checks of each kind
+//   autocheck                               letters checked by autocheck
+//   revealSquare, revealWord, revealPuzzle  reveals of each kind
+//   revealedCells                           squares revealed in all
+// Missing keys are 0; an empty object means no help
+export function helpUsed(help) {
+  return !!help && Object.values(help).some((n) => n > 0);
+}
+
+// Scores keep the clean best time and the best assisted time apart, so a solve
+// with checks or reveals never replaces a clean best:
+// The local day of the first solve is kept as solvedOn, for the daily streak:
+// shape: { date, solvedOn?, seconds?, assisted?: { seconds, help } }
+// Returns true when a best time improved
+export function recordScore({ date, seconds, help = null }) {
   if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
   const list = loadScores();
   const i = list.findIndex((x) => x.date === date);
-  if (i >= 0) {
-    if (typeof list[i].seconds !== "number" || seconds < list[i].seconds) {
-      list[i] = { date, seconds };
-      saveScores(list);
-      return true;
+  const entry = i >= 0 ? { ...list[i] } : { date };
+  const firstSolve = !entry.solvedOn;
+  if (firstSolve) entry.solvedOn = todayISO();
+  let improved = false;
+  if (helpUsed(help)) {
+    if (!(typeof entry.assisted?.seconds === "number" && seconds >= entry.assisted.seconds)) {
+      entry.assisted = { seconds, help };
+      improved = true;
     }
-    return false;
+  } else if (!(typeof entry.seconds === "number" && seconds >= entry.seconds)) {
+    entry.seconds = seconds;
+    improved = true;
   }
-  list.push({ date, seconds });
+  if (!improved && !firstSolve) return false;
+  if (i >= 0) list[i] = entry;
+  else list.push(entry);
   saveScores(list);
-  return true;
+  return improved;
 }
 
 export function clearScores() {
@@ -42,37 +70,113 @@ export function clearScores() {
   } catch {}
 }
 
-/** --------- PUZZLE STATE (per date) ---------- **/
-// shape: { date: "YYYY-MM-DD", timer, started, paused, completed, grid: [{userInput, status}] }
-export function loadPuzzleState(date) {
-  if (!date) return null;
+/** --------- PUZZLE STATE (per puzzle ID) ---------- **/
+// Puzzle IDs are the date ("YYYY-MM-DD") for NYT minis, "<type>-YYYY-MM-DD" for other
+// NYT types (e.g. "daily-2024-01-01") and "ipuz-…" for imported ones
+// shape: { id, timer, started, paused, completed, help, history, grid: [{userInput, status, pencil?}] }
+// status is "neutral", "correct", "wrong" or "revealed"; help is as for recordScore;
+// history is the undo/redo stacks, { past: [step], future: [step] } (see App.jsx)
+export function loadPuzzleState(id) {
+  if (!id) return null;
   try {
     const allRaw = localStorage.getItem(STORAGE_KEY_STATE);
     const all = allRaw ? JSON.parse(allRaw) : {};
-    return all?.[date] || null;
+    return all?.[id] || null;
   } catch {
     return null;
   }
 }
 
-export function savePuzzleState(date, state) {
-  if (!date) return;
+export function savePuzzleState(id, state) {
+  if (!id) return;
   try {
     const allRaw = localStorage.getItem(STORAGE_KEY_STATE);
     const all = allRaw ? JSON.parse(allRaw) : {};
-    all[date] = state;
+    all[id] = state;
     localStorage.setItem(STORAGE_KEY_STATE, JSON.stringify(all));
   } catch {}
 }
 
-export function clearPuzzleState(date) {
-  if (!date) return;
+export function clearPuzzleState(id) {
+  if (!id) return;
   try {
     const allRaw = localStorage.getItem(STORAGE_KEY_STATE);
     const all = allRaw ? JSON.parse(allRaw) : {};
-    if (all[date]) {
-      delete all[date];
+    if (all[id]) {
+      delete all[id];
       localStorage.setItem(STORAGE_KEY_STATE, JSON.stringify(all));
     }
   } catch {}
 }
+
+/** --------- IMPORTED PUZZLES (per puzzle ID) ---------- **/
+// shape: normalized puzzle (schema v1) as returned by the import route
+export function loadImportedPuzzle(id) {
+  if (!id) return null;
+  try {
+    const allRaw = localStorage.getItem(STORAGE_KEY_IMPORTS);
+    const all = allRaw ? JSON.parse(allRaw) : {};
+    return all?.[id] || null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveImportedPuzzle(puzzle) {
+  if (!puzzle?.id) return false;
+  try {
+    const allRaw = localStorage.getItem(STORAGE_KEY_IMPORTS);
+    const all = allRaw ? JSON.parse(allRaw) : {};
+    all[puzzle.id] = puzzle;
+    localStorage.setItem(STORAGE_KEY_IMPORTS, JSON.stringify(all));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** --------- SOLVE RECORDINGS (per puzzle ID) ---------- **/
+// shape: { id, updatedAt, events: [{ t, type, ... }] }, t being ms on the solve timer
+// (see App.jsx for the event types; ReplayPage plays them back)
+export function loadRecording(id) {
+  if (!id) return null;
+  try {
+    const allRaw = localStorage.getItem(STORAGE_KEY_RECORDINGS);
+    const all = allRaw ? JSON.parse(allRaw) : {};
+    return all?.[id] || null;
+  } catch {
+    return null;
+  }
+}
+
+// Saves one recording, keeping the newest ones within MAX_RECORDINGS and
+// MAX_RECORDINGS_SIZE (this one is always kept)
+export function saveRecording(id, events) {
+  if (!id) return;
+  try {
+    const allRaw = localStorage.getItem(STORAGE_KEY_RECORDINGS);
+    const all = allRaw ? JSON.parse(allRaw) : {};
+    all[id] = { id, updatedAt: Date.now(), events };
+    const kept = {};
+    let size = 0;
+    for (const key of Object.keys(all).sort((a, b) => all[b].updatedAt - all[a].updatedAt)) {
+      size += JSON.stringify(all[key]).length;
+      if (key !== id && (Object.keys(kept).length >= MAX_RECORDINGS || size > MAX_RECORDINGS_SIZE)) break;
+      kept[key] = all[key];
+    }
+    localStorage.setItem(STORAGE_KEY_RECORDINGS, JSON.stringify(kept));
+  } catch {
+    // storage full or disabled: this solve just can't be replayed
+  }
+}
+
+// IDs of puzzles with a recording that has something in it
+export function recordedIds() {
+  try {
+    const allRaw = localStorage.getItem(STORAGE_KEY_RECORDINGS);
+    const all = allRaw ? JSON.parse(allRaw) : {};
+    return new Set(Object.keys(all || {}).filter((id) => all[id]?.events?.length > 0));
+  } catch {
+    return new Set();
+  }
+}
@@ -0,0 +1,110 @@
+// utils/useRoom.js
+// WebSocket connection to a co-op room (see server/rooms.js), with reconnects
+import { useCallback, useEffect, useRef, useState } from "react";
+
+const STORAGE_KEY_CLIENTS = "nytMiniCoopClients:v1"; // sessionStorage: roomId -> clientId
+const STORAGE_KEY_NAME = "nytMiniCoopName:v1";
+const CLOSE_STARTED = 4403;
+const CLOSE_NOT_FOUND = 4404;
+const CLOSE_FULL = 4409;
+const MAX_RETRY_MS = 10000;
+
+// crypto.randomUUID only exists on https and localhost, and rooms are often shared over a LAN
+function randomId() {
+  return window.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+// Who we are in a room; kept per tab so a reload rejoins as the same participant
+function clientIdFor(roomId) {
+  try {
+    const all = JSON.parse(sessionStorage.getItem(STORAGE_KEY_CLIENTS) || "{}");
+    if (!all[roomId]) {
+      all[roomId] = randomId();
+      sessionStorage.setItem(STORAGE_KEY_CLIENTS, JSON.stringify(all));
+    }
+    return all[roomId];
+  } catch {
+    return randomId();
+  }
+}
+
+export function loadCoopName() {
+  try {
+    return localStorage.getItem(STORAGE_KEY_NAME) || "";
+  } catch {
+    return "";
+  }
+}
+
+export function saveCoopName(name) {
+  try {
+    localStorage.setItem(STORAGE_KEY_NAME, name);
+  } catch {
+    // storage full or disabled: the name just isn't remembered next time
+  }
+}
+
+// Connect to a room while roomId is set; onMessage gets every server message
+// Returns { status, send }, status being "connecting", "open", "reconnecting",
+// "gone" (room no longer exists), "full" or "started" (a race we weren't in)
+export function useRoom(roomId, onMessage) {
+  const [status, setStatus] = useState("connecting");
+  const wsRef = useRef(null);
+  const handlerRef = useRef(onMessage);
+  handlerRef.current = onMessage;
+
+  useEffect(() => {
+    if (!roomId) return;
+    let ws;
+    let retries = 0;
+    let retryTimer = null;
+    let stopped = false;
+
+    function connect() {
+      const protocol = window.location.protocol === "https:" ? "wss" : "ws";
+      ws = new WebSocket(`${protocol}://${window.location.host}/api/rooms/${roomId}/socket`);
+      wsRef.current = ws;
+      ws.onopen = () => {
+        retries = 0;
+        setStatus("open");
+        ws.send(JSON.stringify({ t: "hello", clientId: clientIdFor(roomId), name: loadCoopName() }));
+      };
+      ws.onmessage = (e) => {
+        let msg;
+        try {
+          msg = JSON.parse(e.data);
+        } catch {
+          return; // the server only sends JSON; anything else isn't for us
+        }
+        handlerRef.current?.(msg);
+      };
+      ws.onclose = (e) => {
+        wsRef.current = null;
+        if (stopped) return;
+        if (e.code === CLOSE_NOT_FOUND) return setStatus("gone");
+        if (e.code === CLOSE_FULL) return setStatus("full");
+        if (e.code === CLOSE_STARTED) return setStatus("started");
+        setStatus("reconnecting");
+        retryTimer = setTimeout(connect, Math.min(MAX_RETRY_MS, 500 * 2 ** retries++));
+      };
+    }
+
+    setStatus("connecting");
+    connect();
+    return () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      ws?.close();
+    };
+  }, [roomId]);
+
+  // Send a message if connected; returns whether it went out
+  const send = useCallback((msg) => {
+    const ws = wsRef.current;
+    if (ws?.readyState !== WebSocket.OPEN) return false;
+    ws.send(JSON.stringify(msg));
+    return true;
+  }, []);
+
+  return { status, send };
+}
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseFormatted,
+  formattedRuns,
+  crossReferences,
+  resolveReferences,
+  readBars,
+  ipuzCellStyle,
+} = require('../server/formatting');
+
+test('parseFormatted splits styled runs and decodes entities', () => {
+  assert.deepEqual(parseFormatted('Not <i>this</i> &amp; <b>that</b>'), [
+    { text: 'Not ' },
+    { text: 'this', italic: true },
+    { text: ' & ' },
+    { text: 'that', bold: true },
+  ]);
+  assert.deepEqual(parseFormatted('H<sub>2</sub>O'), [{ text: 'H' }, { text: '2', sub: true }, { text: 'O' }]);
+});
+
+test('parseFormatted drops unknown tags, keeps their text and merges runs', () => {
+  assert.deepEqual(parseFormatted('<span>a</span><em>b</em><i>c</i>'), [{ text: 'a' }, { text: 'bc', italic: true }]);
+  assert.deepEqual(parseFormatted('1 < 2'), [{ text: '1 < 2' }]);
+});
+
+test('formattedRuns is null without any styling', () => {
+  assert.equal(formattedRuns('Plain'), null);
+  assert.equal(formattedRuns('<span>Plain</span>'), null);
+  assert.ok(formattedRuns('<i>Styled</i>'));
+});
+
+test('crossReferences finds single and listed references', () => {
+  assert.deepEqual(crossReferences('See 3-Down'), [{ direction: 'Down', label: '3' }]);
+  assert.deepEqual(crossReferences('With 17-, 23- and 45-across, a theme'), [
+    { direction: 'Across', label: '17' },
+    { direction: 'Across', label: '23' },
+    { direction: 'Across', label: '45' },
+  ]);
+  assert.deepEqual(crossReferences('Route 66 west'), []);
+});
+
+test('resolveReferences keeps existing clues other than itself, once each', () => {
+  const clues = [
+    { direction: 'Across', label: '1' },
+    { direction: 'Down', label: '3' },
+  ];
+  const refs = [
+    { direction: 'Across', label: '1' },
+    { direction: 'Down', label: '3' },
+    { direction: 'Down', label: '3' },
+    { direction: 'Down', label: '9' },
+  ];
+  assert.deepEqual(resolveReferences(clues[0], refs, clues), [{ direction: 'Down', label: '3' }]);
+});
+
+test('readBars accepts side letters or names', () => {
+  assert.deepEqual(readBars('lt'), ['top', 'left']);
+  assert.deepEqual(readBars(['bottom', 'B', 'x']), ['bottom']);
+  assert.deepEqual(readBars(null), []);
+  assert.deepEqual(ipuzCellStyle({ shapebg: 'circle', barred: 'RR' }), { circled: true, bars: ['right'] });
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { toPuz, cksumRegion } = require('../server/puzFormat');
+const { normalizeNyt } = require('../server/puzzleSchema');
+
+function loadFixture(name) {
+  return normalizeNyt(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+}
+
+// Extra sections after the strings: { title: { data, cksum } }
+function readExtras(buf, puzzle) {
+  const cells = puzzle.size.rows * puzzle.size.cols;
+  let at = 0x34 + cells * 2;
+  // title, author, copyright, the clues and the notes are NUL-terminated
+  for (let n = 0; n < 4 + buf.readUInt16LE(0x2e); n++) at = buf.indexOf(0, at) + 1;
+  const extras = {};
+  while (at < buf.length) {
+    const title = buf.toString('latin1', at, at + 4);
+    const length = buf.readUInt16LE(at + 4);
+    extras[title] = { data: buf.subarray(at + 8, at + 8 + length), cksum: buf.readUInt16LE(at + 6) };
+    assert.equal(buf[at + 8 + length], 0, `${title} ends with a NUL`);
+    at += 8 + length + 1;
+  }
+  return extras;
+}
+
+test('rebus squares are written to GRBS and RTBL', () => {
+  const puzzle = loadFixture('rebus.json');
+  const buf = toPuz(puzzle);
+  const { GRBS, RTBL } = readExtras(buf, puzzle);
+
+  assert.ok(GRBS && RTBL);
+  assert.equal(GRBS.cksum, cksumRegion(GRBS.data));
+  assert.equal(RTBL.cksum, cksumRegion(RTBL.data));
+  assert.equal(RTBL.data.toString('latin1'), ' 0:HEART; 1:STAR;');
+
+  const expected = puzzle.cells.map((c) => ({ HEART: 1, STAR: 2 })[c.answer] || 0);
+  assert.deepEqual([...GRBS.data], expected);
+
+  // the solution grid keeps the first letter of each rebus
+  const solution = buf.toString('latin1', 0x34, 0x34 + puzzle.cells.length);
+  assert.equal(solution[5], 'H');
+  assert.equal(solution[15], 'S');
+});
+
+test('puzzles without a rebus have no extra sections', () => {
+  const puzzle = normalizeNyt(fs.readFileSync(path.join(__dirname, '..', 'fixtures', '2024-01-02.json'), 'utf8'));
+  assert.deepEqual(readExtras(toPuz(puzzle), puzzle), {});
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { normalizeNyt, PuzzleSchemaError } = require('../server/puzzleSchema');
+
+function upstream() {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', '2024-01-02.json'), 'utf8'));
+}
+
+test('NYT cell types 2 and 3 become circled and shaded squares', () => {
+  const doc = upstream();
+  doc.body[0].cells[0].type = 2;
+  doc.body[0].cells[1].type = 3;
+  const { cells } = normalizeNyt(doc);
+  assert.equal(cells[0].circled, true);
+  assert.equal(cells[1].shaded, true);
+  assert.equal(cells[2].circled, undefined);
+  assert.equal(cells[2].shaded, undefined);
+});
+
+test('overlays add circles, shading and bars', () => {
+  const doc = upstream();
+  doc.body[0].overlays = [
+    { type: 'circle', cells: [3] },
+    { type: 'shade', cells: [3, 4] },
+    { type: 'bar', cells: [6], sides: 'RB' },
+    { type: 'bar', cells: [6], sides: ['top', 'right'] },
+    { type: 'sparkle', cells: [7] },
+    { type: 'bar' },
+  ];
+  doc.body[0].cells[8].bars = 'L';
+  const { cells } = normalizeNyt(doc);
+  assert.equal(cells[3].circled, true);
+  assert.equal(cells[3].shaded, true);
+  assert.equal(cells[4].shaded, true);
+  assert.deepEqual(cells[6].bars, ['top', 'right', 'bottom']);
+  assert.deepEqual(cells[8].bars, ['left']);
+  assert.deepEqual(Object.keys(cells[7]).sort(), ['answer', 'label', 'type']);
+});
+
+test('malformed payloads throw PuzzleSchemaError', () => {
+  assert.throws(() => normalizeNyt('{'), PuzzleSchemaError);
+  assert.throws(() => normalizeNyt({ body: [] }), PuzzleSchemaError);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { streaks, timeStats, trendPlot } = require('../src/utils/scoreStats.js');
+
+const BOX = { width: 320, height: 140, pad: 24 };
+
+test('streaks count consecutive solve days, not puzzle dates', () => {
+  // three archive puzzles solved on one day make a single streak day
+  const scores = [
+    { date: '2024-01-01', solvedOn: '2024-03-10', seconds: 60 },
+    { date: '2024-01-02', solvedOn: '2024-03-10', seconds: 60 },
+    { date: '2024-01-03', solvedOn: '2024-03-10', seconds: 60 },
+    { date: '2024-03-11', solvedOn: '2024-03-11', seconds: 60 },
+  ];
+  assert.deepEqual(streaks(scores, '2024-03-11'), { current: 2, longest: 2 });
+  assert.deepEqual(streaks(scores, '2024-03-12'), { current: 2, longest: 2 });
+  assert.deepEqual(streaks(scores, '2024-03-13'), { current: 0, longest: 2 });
+});
+
+test('streaks fall back to the puzzle date for scores without a solve day', () => {
+  const scores = [{ date: '2024-03-09' }, { date: '2024-03-10', solvedOn: '2024-03-10' }];
+  assert.deepEqual(streaks(scores, '2024-03-10'), { current: 2, longest: 2 });
+});
+
+test('trend plot of a single score stays finite', () => {
+  for (const seconds of [0, 42]) {
+    const { trend } = timeStats([{ date: '2024-01-01', seconds }]);
+    const { top, points, line } = trendPlot(trend, BOX);
+    assert.ok(top >= 1);
+    assert.equal(points.length, 1);
+    assert.ok(Number.isFinite(points[0].x) && Number.isFinite(points[0].y));
+    assert.doesNotMatch(line, /NaN|Infinity/);
+  }
+});
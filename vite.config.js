@@ -10,6 +10,7 @@ export default defineConfig({
         target: 'http://localhost:3001',
         changeOrigin: true,
         rewrite: (path) => path.replace(/^\/api/, ''), // /api/puzzle/... -> /puzzle/...
+        ws: true, // co-op room sockets
       },
     },
   },